@@ -1,196 +1,795 @@
 import chalk from 'chalk'
 import chokidar from 'chokidar'
+import EventEmitter from 'events'
 import debounce from 'debounce'
 import clone from 'clone'
 import minimatch from 'minimatch'
+import path from 'path'
 
 import depGraph from './lib/dep-graph'
 import isInDir from './lib/is-in-dir'
 import resolveRename from './lib/resolve-rename'
-import log from './lib/log'
+import hashFile from './lib/hash-file'
+import pipelineKey from './lib/pipeline-key'
+import loadStore from './lib/load-store'
+import saveStore from './lib/save-store'
+import inspectGraph from './lib/inspect-graph'
+import writeGraph from './lib/write-graph'
+import liveReload from './lib/live-reload'
+import injectScript from './lib/inject-script'
+import pruneOutputs from './lib/prune-outputs'
+import tagSource from './lib/tag-source'
+import collectOutputs from './lib/collect-outputs'
+import moveOutput from './lib/move-output'
+import restoreFile from './lib/restore-file'
+import wrapPlugin from './lib/wrap-plugin'
+import aggregatePlugin from './lib/aggregate-plugin'
+import trackMetadata from './lib/track-metadata'
+import diffMetadata from './lib/diff-metadata'
+import explainFile from './lib/explain-file'
+import resolveForced from './lib/resolve-forced'
+import createIgnore from './lib/create-ignore'
+import validateWatchOptions from './lib/validate-watch-options'
+import uncacheModule from './lib/uncache-module'
+import summarizeReport from './lib/summarize-report'
+import writeReport from './lib/write-report'
+import resolvers from './lib/resolvers'
+import createLog from './lib/log'
 
 const defaults = {
   delay: 100,
+  concurrency: 16,
+  retryBackoff: 1000,
 }
-let modifiedFiles = {}
-let modifiedDirs = []
-let removedFiles = {}
-let removedDirs = []
-let forceGlobs = []
-let filtered = {}
-let isWatching = false
-let isRunning = false
+const DEFAULT_ID = 'default'
+const DEFAULT_SOURCE_KEY = 'incrementalSource'
+// editor swap, backup and lock files as well as OS metadata
+const defaultIgnoreGlobs = ['.DS_Store', 'Thumbs.db', '*.swp', '*.swo', '*.swx', '*~', '.#*', '#*#', '4913', '*.tmp', '*.crdownload']
+const liveReloadDefaults = {
+  port: 35729,
+  host: 'localhost',
+  inject: true,
+}
+const STORE_VERSION = 1
+const STORE_FILE = 'metalsmith-incremental.json'
+const pluginOptions = new WeakMap()
 
 /**
- * Returns the selected `metalsmith-incremental` sub plugin.
- * Use:
- * * `filter`: to remove unmodified files from the pipeline
- * * `cache`: to cache current state in the pipeline and to restore filtered files by `filter`
- * * `watch`: to start watching for file changes (can be used only once)
- *
- * @param {Object} [options] - Plugin options hash.
- * @param {string} [options.plugin=filter] - Specify the sub plugin to use - `filter`, `cache` or `watch`.
- * @param {string} [options.baseDir] - The baseDir to which to resolve absolute paths in dependencies (`filter` only).
- * @param {RegExp|DependencyResolver|DependencyResolverMap} [options.depResolver] - A RegExp pattern or callback to resolve dependencies (`filter` only).
- * @param {RenameObject|RenameFunction} [options.rename] - A function or object defining renaming rules (`cache` only).
- * @param {PropsList} [options.props=['contents']] - An array of property names to sync from cached files to new files (`cache` only).
- * @param {PathsObject|string} [options.paths] - A glob-pattern map which forces updates of mapped files (`watch` only).
- * @param {number} [options.delay=100] - The number of milliseconds the rebuild is delayed to wait for additional changes (`watch` only).
- * @param {IncrementalDoneFn} [options.done] - A callback to call after incremental build has finished (same signature as `fn` in `metalsmith.build(fn)` (`watch` only).
- * @returns {filter|cache|watch} - Returns the specified metalsmith sub plugin - `filter`, `cache` or `watch`.
+ * Creates an isolated `metalsmith-incremental` session, with it's own state and watcher.
+ * Use separate sessions if you build several Metalsmith instances within one process.
+ *
+ * @returns {metalsmithIncremental} - Returns the plugin factory of the new session.
+ *
+ * @example
+ *
+ * const site = incremental.session()
+ * const docs = incremental.session()
+ *
+ * siteMetalsmith.use(site.filter())
+ * siteMetalsmith.use(slowPlugin())
+ * siteMetalsmith.use(site.cache())
+ *
+ * docsMetalsmith.use(docs.filter())
+ * docsMetalsmith.use(slowPlugin())
+ * docsMetalsmith.use(docs.cache())
+ *
+ * // later on, e.g. after each test
+ * site.dispose()
+ * docs.dispose()
  */
-const metalsmithIncremental = (options) => {
-  const { plugin } = options
-  let cached
-
-  switch (plugin) {
-    case 'cache':
-      return cache
-    case 'watch':
-      return watch
-
-    default:
-      return filter
+const session = () => {
+  const stores = {}
+  // the dependency graph of each `filter` and the memo of each wrapped plugin, by plugin
+  const graphs = new Map()
+  const memos = new Map()
+  // resets the files of each `cache`, by plugin
+  const cacheResets = new Map()
+  // metadata hashes and the metadata keys read by each file, by checkpoint id
+  const metadataStates = {}
+  const metadataTrackers = {}
+  let modifiedFiles = {}
+  let modifiedDirs = []
+  let removedFiles = {}
+  let removedDirs = []
+  let movedFiles = {}
+  // changes collected by the watcher, until the next build takes them over
+  let pending = createChangeSet()
+  // filtered files by checkpoint id
+  let filtered = {}
+  // the paths map of the watcher, which applies to each `filter`
+  let watchPaths = null
+  // the report of the current build
+  let report = createReport()
+  let isWatching = false
+  let isRunning = false
+  let isResuming = false
+  let isFullBuild = false
+  let manifest = {}
+  let storeKey
+  let closeWatcher
+  // the logger and level of this session
+  const logSettings = {
+    logger: null,
+    level: null,
   }
+  const filterLog = createLog('filter', logSettings)
+  const cacheLog = createLog('cache', logSettings)
+  const watchLog = createLog('watch', logSettings)
+  const depsLog = createLog('deps', logSettings)
+  const wrapLog = createLog('wrap', logSettings)
+  const aggregateLog = createLog('aggregate', logSettings)
 
   /**
-   * Removes unmodified files from the pipeline by resolving:
-   * * changed, added, removed files or directories
-   * * resolving glob map matches
-   * * infer dependencies
-   *
-   * **Options**
-   * * `baseDir`
-   * * `depResolver`
-   *
-   * @param {Object} files
-   * @param {MetalSmith} metalsmith
-   * @param {Function} done
-   *
-   * @example
-   *
-   * metalsmith.usw(incremental({
-   *  plugin: 'filter', // default 'filter' -> can be omitted
-   *  baseDir: 'your/base/dir',
-   * }))
-   *
-   * @example <caption>Resolving Dependencies by RegExp</caption>
-   *
-   * metalsmith.usw(incremental({
-   *  baseDir: 'your/base/dir',
-   *  // important the first capturing group must contain the dependency path
-   *  depResolver: /(?:include|extends)\s+([^\s]+)/mg,
-   * }))
+   * Returns the selected `metalsmith-incremental` sub plugin.
+   * Use:
+   * * `filter`: to remove unmodified files from the pipeline
+   * * `cache`: to cache current state in the pipeline and to restore filtered files by `filter`
+   * * `watch`: to start watching for file changes (can be used only once per session)
    *
-   * @example <caption>Resolving Dependencies by Hash-Map</caption>
-   *
-   * metalsmith.usw(incremental({
-   *  baseDir: 'your/base/dir',
-   *  depResolver: {
-   *    pug: /(?:include|extends)\s+([^\s]+)/mg,
-   *  },
-   * }))
-   *
-   * @example <caption>Resolving Dependencies by Function</caption>
-   *
-   * metalsmith.usw(incremental({
-   *  baseDir: 'your/base/dir',
-   *  depResolver: (file, baseDir) {
-   *    // read file contents
-   *    const contents = file.contents
-   *    const dependencies = []
-   *
-   *    // ... your custom dependencies resolve algorith here
-   *
-   *    return dependencies
-   *  },
-   * }))
+   * @param {Object} [options] - Plugin options hash.
+   * @param {string} [options.plugin=filter] - Specify the sub plugin to use - `filter`, `cache` or `watch`.
+   * @param {string} [options.id=default] - Names a checkpoint, each `cache` restores only files removed by the `filter` of the same id,
+   * which allows to cache several sections of a pipeline independently (`filter` and `cache` only).
+   * @param {string} [options.cacheDir] - A directory (relative to `metalsmith.directory()`) to persist the cache to,
+   * must be set for both `filter` and `cache` (`filter` and `cache` only).
+   * @param {string} [options.cacheKey] - Any value identifying the configuration of the pipeline, change it to invalidate
+   * the persisted cache, e.g. after changing options of other plugins (`filter` and `cache` with `cacheDir` only).
+   * @param {string} [options.baseDir] - The baseDir to which to resolve absolute paths in dependencies (`filter` only).
+   * @param {RegExp|DependencyResolver|DependencyResolverMap} [options.depResolver] - A RegExp pattern or callback to resolve dependencies (`filter` only).
+   * @param {PathResolverMap} [options.pathResolver] - Custom strategies keyed by file extension to resolve dependencies to exact paths (`filter` only).
+   * @param {string} [options.sourceKey] - A key to tag each file passed by `filter` with it's path, which lets `cache` track the outputs
+   * of each source. By default a non-enumerable property, set an own key to let it survive plugins copying files,
+   * must be set for both `filter` and `cache` (`filter` and `cache` only).
+   * @param {boolean|Object.<string, string[]>} [options.metadata] - Invalidates files depending on changed keys of `metalsmith.metadata()`,
+   * either recorded automatically by `true` or declared by a glob-pattern map (`filter` only).
+   * @param {number} [options.concurrency=16] - The maximum number of dependency resolvers running at once (`filter` only).
+   * @param {string} [options.graphFile] - A file (relative to `metalsmith.directory()`) to write the dependency graph to after each build,
+   * as Graphviz DOT for `.dot` and `.gv` files, else as JSON (`filter` only).
+   * @param {RenameObject|RenameFunction} [options.rename] - A function or object defining renaming rules (`cache` only).
+   * @param {PropsList} [options.props=['contents']] - An array of property names to sync from cached files to new files (`cache` only).
+   * @param {boolean|PruneOptions} [options.prune=false] - Deletes the outputs of removed files and directories left empty
+   * from `metalsmith.destination()` (`cache` only).
+   * @param {PathsObject|string} [options.paths] - A glob-pattern map which forces updates of mapped files,
+   * the one of `watch` applies to each `filter` (`filter` and `watch` only).
+   * @param {string[]} [options.dirs] - Additional directories (relative to `metalsmith.directory()`) to watch for dependencies
+   * outside of `metalsmith.source()`, like layouts or partials (`watch` only).
+   * @param {number} [options.delay=100] - The number of milliseconds the rebuild is delayed to wait for additional changes (`watch` only).
+   * @param {number} [options.retry=0] - The number of times a failed build is retried automatically (`watch` only).
+   * @param {number} [options.retryBackoff=1000] - The number of milliseconds to wait before the first retry,
+   * which doubles with each further retry (`watch` only).
+   * @param {boolean|LiveReloadOptions} [options.liveReload=false] - Starts a live-reload server, which pushes the changed output paths
+   * of each build to the browser (`watch` only).
+   * @param {string|string[]} [options.ignore] - Globs (relative to `metalsmith.source()`) of files the watcher ignores,
+   * globs without a slash match the basename (`watch` only).
+   * @param {boolean} [options.defaultIgnore=true] - Ignores editor swap, backup and lock files and OS metadata like `.DS_Store` (`watch` only).
+   * @param {boolean} [options.usePolling] - Polls for changes, e.g. for network file systems or Docker volumes (`watch` only).
+   * @param {number} [options.interval] - The polling interval in milliseconds (`watch` only).
+   * @param {boolean|Object} [options.awaitWriteFinish] - Waits until the size of a file stops changing before reporting it,
+   * optionally with `stabilityThreshold` and `pollInterval` in milliseconds (`watch` only).
+   * @param {Object} [options.watchOptions] - Any further options passed to `chokidar.watch()`,
+   * except `cwd` and `ignoreInitial` (`watch` only).
+   * @param {string|string[]} [options.fullRebuild] - Globs (relative to `metalsmith.directory()`) of configuration and plugin code,
+   * like `metalsmith.js` or `package.json`, whose changes clear all caches, drop the changed modules from `require.cache`
+   * and trigger a full rebuild (`watch` only).
+   * @param {Function} [options.factory] - Re-creates the Metalsmith instance to build after changes of `fullRebuild`,
+   * so changed plugin code takes effect without a restart (`watch` only).
+   * @param {boolean} [options.signals=false] - Closes the watcher and exits the process on `SIGTERM`, `SIGINT` and `SIGQUIT` (`watch` only).
+   * @param {string} [options.reportFile] - A file (relative to `metalsmith.directory()`) to write the {@link BuildReport} to as JSON,
+   * of each build triggered by the watcher (`watch`) or of each build as soon as `cache` has run, e.g. for one-shot builds (`cache`).
+   * @param {Function} [options.onReport] - A callback receiving the {@link BuildReport} of each build
+   * as soon as `cache` has run (`cache` only).
+   * @param {Logger} [options.logger] - Any object with the methods `debug`, `info`, `warn` and `error` to log to instead of the console,
+   * applies to all plugins of this session.
+   * @param {string} [options.logLevel] - The minimum level to log - `debug`, `info`, `warn`, `error` or `silent`,
+   * applies to all plugins of this session.
+   * Defaults to `info` for a terminal or a `logger`, else to `silent`.
+   * Categories of messages can be enabled by the `DEBUG` environment variable too, e.g. `DEBUG=metalsmith-incremental:deps`.
+   * @param {IncrementalDoneFn} [options.done] - A callback to call after incremental build has finished (same signature as `fn` in `metalsmith.build(fn)`,
+   * plus the {@link BuildReport} of the build) (`watch` only).
+   * @returns {filter|cache|watch} - Returns the specified metalsmith sub plugin - `filter`, `cache` or `watch`,
+   * `watch` is it's own {@link WatchController} too.
    */
-  function filter(files, metalsmith, done) {
-    setImmediate(done)
+  const metalsmithIncremental = (options = {}) => {
+    const { plugin } = options
+
+    if (options.logger || options.logLevel) {
+      createLog.configure(logSettings, options)
+    }
+
+    const graph = {
+      dependencies: {},
+      dependents: {},
+      hashes: {},
+      cycles: {},
+    }
+    const emitter = new EventEmitter()
+    let cached
+    // the outputs of each source
+    let outputs = {}
+    let controls
+    let liveReloadServer
+    let selected
+
+    switch (plugin) {
+      case 'cache':
+        selected = cache
+        cacheResets.set(cache, () => {
+          // loaded from the store again, if any, unless the next build is a full rebuild
+          cached = undefined
+          outputs = {}
+        })
+        break
+      case 'watch':
+        validateWatchOptions(options)
+
+        // the plugin doubles as controller of it's watcher
+        selected = Object.assign(watch, {
+          close: () => controls && controls.close(),
+          pause: () => controls && controls.pause(),
+          resume: () => controls && controls.resume(),
+          rebuild: () => controls && controls.rebuild(),
+          on: (event, listener) => {
+            emitter.on(event, listener)
+            return watch
+          },
+          once: (event, listener) => {
+            emitter.once(event, listener)
+            return watch
+          },
+          off: (event, listener) => {
+            emitter.removeListener(event, listener)
+            return watch
+          },
+        })
+        break
 
-    if (!isRunning) {
-      return
+      default:
+        selected = filter
+        graphs.set(filter, graph)
     }
 
-    const filesPaths = Object.keys(files)
-    const { baseDir, depResolver } = options
+    pluginOptions.set(selected, options)
+
+    return selected
+
+    /**
+     * Removes unmodified files from the pipeline by resolving:
+     * * changed, added, removed files or directories
+     * * resolving glob map matches
+     * * infer dependencies
+     * * changed sources since the persisted manifest (cold start with `cacheDir`)
+     *
+     * Modified files whose contents and front-matter didn't change since the last build are dropped as no-ops.
+     *
+     * **Options**
+     * * `id`
+     * * `cacheDir`
+     * * `sourceKey`
+     * * `baseDir`
+     * * `depResolver`
+     * * `pathResolver`
+     * * `metadata`
+     * * `paths`
+     * * `concurrency`
+     * * `graphFile`
+     *
+     * @param {Object} files
+     * @param {MetalSmith} metalsmith
+     * @param {Function} done
+     *
+     * @example
+     *
+     * metalsmith.usw(incremental({
+     *  plugin: 'filter', // default 'filter' -> can be omitted
+     *  baseDir: 'your/base/dir',
+     * }))
+     *
+     * @example <caption>Resolving Dependencies by RegExp</caption>
+     *
+     * metalsmith.usw(incremental({
+     *  baseDir: 'your/base/dir',
+     *  // important the first capturing group must contain the dependency path
+     *  depResolver: /(?:include|extends)\s+([^\s]+)/mg,
+     * }))
+     *
+     * @example <caption>Resolving Dependencies by Hash-Map</caption>
+     *
+     * metalsmith.usw(incremental({
+     *  baseDir: 'your/base/dir',
+     *  depResolver: {
+     *    pug: /(?:include|extends)\s+([^\s]+)/mg,
+     *  },
+     * }))
+     *
+     * @example <caption>Resolving Dependencies asynchronously, including nested dependencies outside of the pipeline</caption>
+     *
+     * metalsmith.use(incremental({
+     *  concurrency: 8,
+     *  depResolver: (file, baseDir, context) => {
+     *    const includes = parseIncludes(file.contents)
+     *
+     *    return Promise.all(includes.map(context.resolve))
+     *      .then(resolved => [].concat(...resolved))
+     *  },
+     * }))
+     *
+     * @example <caption>Resolving Dependencies by Function</caption>
+     *
+     * metalsmith.usw(incremental({
+     *  baseDir: 'your/base/dir',
+     *  depResolver: (file, baseDir) {
+     *    // read file contents
+     *    const contents = file.contents
+     *    const dependencies = []
+     *
+     *    // ... your custom dependencies resolve algorith here
+     *
+     *    return dependencies
+     *  },
+     * }))
+     *
+     * @example <caption>Resolving dependencies inside search dirs</caption>
+     *
+     * metalsmith.use(incremental({
+     *  depResolver: {
+     *    scss: true,
+     *  },
+     *  pathResolver: {
+     *    scss: {
+     *      paths: ['styles/vendor'],
+     *    },
+     *  },
+     * }))
+     *
+     * @example <caption>Persisting the cache across restarts</caption>
+     *
+     * metalsmith.use(incremental({
+     *  cacheDir: '.cache',
+     * }))
+     *
+     * @example <caption>Writing the dependency graph as Graphviz DOT</caption>
+     *
+     * metalsmith.use(incremental({
+     *  graphFile: 'dependencies.dot',
+     * }))
+     *
+     * @example <caption>Recording metadata keys read by each file</caption>
+     *
+     * metalsmith.use(incremental({
+     *  metadata: true,
+     * }))
+     *
+     * @example <caption>Declaring metadata keys read by files</caption>
+     *
+     * metalsmith.use(incremental({
+     *  metadata: {
+     *    'blog/**': ['posts'],
+     *    '**': ['site', 'navigation'],
+     *  },
+     * }))
+     *
+     * @example <caption>Forcing authors' pages to rebuild in one-shot builds too</caption>
+     *
+     * metalsmith.use(incremental({
+     *  cacheDir: '.cache',
+     *  paths: {
+     *    'data/authors/*.json': (changedPaths, files) => Object.keys(files)
+     *      .filter(filePath => changedPaths.indexOf(`data/authors/${files[filePath].author}.json`) > -1),
+     *  },
+     * }))
+     *
+     * @example <caption>Caching several sections of a pipeline independently</caption>
+     *
+     * metalsmith.use(incremental.filter({ id: 'markdown', depResolver: { md: true } }))
+     * metalsmith.use(markdown())
+     * metalsmith.use(incremental.cache({ id: 'markdown', rename: { from: /.md$/, to: '.html' } }))
+     *
+     * metalsmith.use(incremental.filter({ id: 'images' }))
+     * metalsmith.use(imagemin())
+     * metalsmith.use(incremental.cache({ id: 'images' }))
+     */
+    function filter(files, metalsmith, done) {
+      const {
+        id = DEFAULT_ID, graphFile, concurrency = defaults.concurrency, sourceKey = DEFAULT_SOURCE_KEY,
+      } = options
+
+      if (options.id !== undefined && !hasMatchingCache(metalsmith, options.id)) {
+        done(new Error(`metalsmith-incremental: filter "${options.id}" has no matching cache later in the pipeline`))
+        return
+      }
+
+      const startTime = Date.now()
+      const isSource = isSourceFilter(metalsmith)
+
+      // files held back by a failed build never reached `cache`, they are read again
+      delete filtered[id]
 
-    // first add forced globs
-    for (let i = 0, l = forceGlobs.length; i < l; i++) {
-      const glob = forceGlobs[i]
-      const globedPaths = filesPaths.filter(minimatch.filter(glob))
+      // builds triggered by the watcher start their report on their own
+      if (!isRunning && isFirstFilter(metalsmith)) {
+        report = createReport()
+      }
+
+      if (isSource) {
+        updateManifest(files, metalsmith)
+      }
+
+      // a cold start may resume from the store
+      const isIncremental = isIncrementalBuild()
+
+      if (options.metadata) {
+        invalidateByMetadata(files, metalsmith, id, isIncremental)
+      }
+
+      const filesPaths = Object.keys(files)
+      const pathsMaps = [normalizePaths(options.paths), watchPaths].filter(Boolean)
+      const changedPaths = Object.keys(modifiedFiles)
+
+      // first add files forced by paths maps
+      for (let i = 0, l = isIncremental ? pathsMaps.length : 0; i < l; i++) {
+        const forced = resolveForced(pathsMaps[i], changedPaths, files)
+        const forcedPaths = Object.keys(forced)
 
-      for (let j = 0, k = globedPaths.length; j < k; j++) {
-        const filePath = globedPaths[j]
+        for (let j = 0, k = forcedPaths.length; j < k; j++) {
+          const filePath = forcedPaths[j]
 
-        modifiedFiles[filePath] = true
+          modifiedFiles[filePath] = true
+          explain(filePath, { reason: 'force', glob: forced[filePath] })
 
-        log(`${chalk.yellow(filePath)} force update`)
+          filterLog.debug(`${chalk.yellow(filePath)} force update`)
+        }
       }
+
+      const dependenciesTime = Date.now()
+
+      // second check dependencies, the graph is kept up to date on full builds too
+      depGraph(files, modifiedFiles, modifiedDirs, metalsmith, { ...options, concurrency }, graph, report.reasons, depsLog)
+        .then(() => {
+          report.timings.dependencies += Date.now() - dependenciesTime
+
+          if (graphFile) {
+            writeGraph(path.resolve(metalsmith.directory(), graphFile), inspectGraph([graph]))
+          }
+
+          // filter non-modified files
+          for (let i = 0, l = isIncremental ? filesPaths.length : 0; i < l; i++) {
+            const filePath = filesPaths[i]
+
+            if (modifiedFiles[filePath] || isInDir(filePath, modifiedDirs)) continue
+
+            filtered[id] = filtered[id] || {}
+            filtered[id][filePath] = files[filePath]
+            // eslint-disable-next-line no-param-reassign
+            delete files[filePath]
+          }
+
+          // lets `cache` learn the outputs of each source
+          tagSource(files, sourceKey, sourceKey !== DEFAULT_SOURCE_KEY)
+
+          // sources are reported only, later checkpoints see their outputs
+          if (isSource) {
+            const passedPaths = Object.keys(files)
+
+            for (let i = 0, l = passedPaths.length; i < l; i++) {
+              report.files[passedPaths[i]] = explainFile(passedPaths[i], report.reasons, modifiedDirs, isIncremental)
+            }
+
+            report.filtered += filesPaths.length - passedPaths.length
+          }
+
+          report.timings.filter += Date.now() - startTime
+
+          if (metadataTrackers[id]) {
+            metadataTrackers[id].paths = Object.keys(files)
+          }
+        })
+        // leave the promise chain, so errors thrown by subsequent plugins aren't swallowed
+        .then(() => setImmediate(done), error => setImmediate(done, error))
     }
 
-    // second check dependencies
-    depGraph(files, modifiedFiles, modifiedDirs, metalsmith, baseDir, depResolver)
+    /**
+     * Checks whether this `filter` sees source files, which is the case if no `cache` precedes it.
+     *
+     * @private
+     * @param {MetalSmith} metalsmith
+     * @returns {boolean}
+     */
+    function isSourceFilter(metalsmith) {
+      const { plugins } = metalsmith
+
+      for (let i = 0, l = plugins.indexOf(filter); i < l; i++) {
+        const precedingOptions = pluginOptions.get(plugins[i])
+
+        if (precedingOptions && precedingOptions.plugin === 'cache') {
+          return false
+        }
+      }
 
-    // filter non-modified files
-    for (let i = 0, l = filesPaths.length; i < l; i++) {
-      const filePath = filesPaths[i]
+      return true
+    }
 
-      if (modifiedFiles[filePath] || isInDir(filePath, modifiedDirs)) continue
+    /**
+     * Checks whether this `filter` is the first one of the pipeline, which starts each build.
+     *
+     * @private
+     * @param {MetalSmith} metalsmith
+     * @returns {boolean}
+     */
+    function isFirstFilter(metalsmith) {
+      const { plugins } = metalsmith
+
+      for (let i = 0, l = plugins.indexOf(filter); i < l; i++) {
+        const precedingOptions = pluginOptions.get(plugins[i])
+
+        if (precedingOptions && (!precedingOptions.plugin || precedingOptions.plugin === 'filter')) {
+          return false
+        }
+      }
 
-      filtered[filePath] = files[filePath]
-      // eslint-disable-next-line no-param-reassign
-      delete files[filePath]
+      return true
     }
-  }
 
-  /**
-   * Caches all files at the specific point in the pipeline and
-   * restores unmodified files filtered previously by `filter`.
-   *
-   * **Options**
-   * * `rename`
-   * * `props`
-   *
-   * @param {Object} files
-   * @param {MetalSmith} metalsmith
-   * @param {Function} done
-   *
-   * @example
-   *
-   * metalsmith.use(increment({
-   *  plugin: 'cache',
-   * })
-   *
-   * @example <caption>Renaming files by RegExp</caption>
-   *
-   * metalsmith.use(increment({
-   *  plugin: 'cache',
-   *  rename: {
-   *    from: /.pug$/,
-   *    to: '.html',
-   *  },
-   * })
-   *
-   * @example <caption>Renaming files by function</caption>
-   *
-   * metalsmith.use(increment({
-   *  plugin: 'cache',
-   *  rename: (path) => {
-   *    path.extname = path.extname.replace('.pug', '.html')
-   *
-   *    return path
-   *  },
-   * })
-   */
-  function cache(files, metalsmith, done) {
-    setImmediate(done)
+    /**
+     * Checks whether a `cache` of the same id follows this `filter`.
+     *
+     * @private
+     * @param {MetalSmith} metalsmith
+     * @param {string} id
+     * @returns {boolean}
+     */
+    function hasMatchingCache(metalsmith, id) {
+      const { plugins } = metalsmith
+
+      for (let i = plugins.indexOf(filter) + 1, l = plugins.length; i < l; i++) {
+        const followingOptions = pluginOptions.get(plugins[i])
+
+        if (followingOptions && followingOptions.plugin === 'cache' && followingOptions.id === id) {
+          return true
+        }
+      }
+
+      return false
+    }
+
+    /**
+     * Diffs the metadata with the one of the previous build and marks all files depending on changed keys as modified.
+     * Starts recording the keys read by the passed files until the `cache` of the same id, if `options.metadata` is `true`.
+     *
+     * @private
+     * @param {Object} files
+     * @param {MetalSmith} metalsmith
+     * @param {string} id
+     * @param {boolean} isIncremental
+     */
+    function invalidateByMetadata(files, metalsmith, id, isIncremental) {
+      const { cacheDir, metadata } = options
+
+      // a build may have failed before it's tracking was stopped
+      stopMetadataTracking(id)
+
+      if (!metadataStates[id]) {
+        const store = cacheDir && getStore(metalsmith, cacheDir, id)
+
+        metadataStates[id] = store && store.metadata ? store.metadata : { hashes: {}, keys: {} }
+      }
+
+      const state = metadataStates[id]
+      const { hashes, changedKeys } = diffMetadata(metalsmith.metadata(), state.hashes)
+      const filesPaths = Object.keys(files)
+
+      state.hashes = hashes
+
+      for (let i = 0, l = isIncremental ? filesPaths.length : 0; i < l; i++) {
+        const filePath = filesPaths[i]
+        const keys = metadata === true ? state.keys[filePath] || [] : getDeclaredKeys(filePath, metadata)
 
-    const clonedFiles = clone(files)
+        for (let j = 0, k = changedKeys.length; j < k && !modifiedFiles[filePath]; j++) {
+          if (keys.indexOf(changedKeys[j]) > -1) {
+            modifiedFiles[filePath] = true
+            explain(filePath, { reason: 'metadata', key: changedKeys[j] })
+
+            filterLog.debug(`${chalk.yellow(filePath)} depends on metadata ${chalk.blue(changedKeys[j])}`)
+          }
+        }
+      }
+
+      if (metadata === true) {
+        const readKeys = {}
+
+        metadataTrackers[id] = {
+          readKeys,
+          paths: [],
+          stop: trackMetadata(metalsmith, readKeys),
+        }
+      }
+    }
+
+    /**
+     * Hashes all source files into a new manifest and drops modified files, which didn't change since the last build.
+     * During a watch build each file, which changed since the last build, is marked as modified,
+     * even if the watcher didn't report it yet.
+     * On a cold start with a valid store, all files which changed since the persisted manifest are marked as modified
+     * and all files missing since then are marked as removed.
+     *
+     * @private
+     * @param {Object} files
+     * @param {MetalSmith} metalsmith
+     */
+    function updateManifest(files, metalsmith) {
+      const { cacheDir } = options
+      const store = cacheDir && getStore(metalsmith, cacheDir, options.id)
+      const filesPaths = Object.keys(files)
+      const nextManifest = {}
+
+      for (let i = 0, l = filesPaths.length; i < l; i++) {
+        const filePath = filesPaths[i]
+
+        nextManifest[filePath] = hashFile(files[filePath])
+      }
+
+      if (isRunning) {
+        // files saved before they were read, their events arrive too late to find any change
+        for (let i = 0, l = filesPaths.length; i < l; i++) {
+          const filePath = filesPaths[i]
+
+          if (!modifiedFiles[filePath] && manifest[filePath] !== nextManifest[filePath]) {
+            modifiedFiles[filePath] = true
+            explain(filePath, { reason: 'changed' })
+
+            filterLog.info(`${chalk.yellow(filePath)} changed before the build read it`)
+          }
+        }
+
+        const modifiedPaths = Object.keys(modifiedFiles)
+
+        for (let i = 0, l = modifiedPaths.length; i < l; i++) {
+          const filePath = modifiedPaths[i]
+
+          if (manifest[filePath] && manifest[filePath] === nextManifest[filePath]) {
+            delete modifiedFiles[filePath]
+
+            filterLog.info(`${chalk.yellow(filePath)} skipped, nothing changed`)
+          }
+        }
+      } else if (store) {
+        const storedPaths = Object.keys(store.manifest)
+
+        resetChanges()
+
+        for (let i = 0, l = filesPaths.length; i < l; i++) {
+          const filePath = filesPaths[i]
+
+          if (store.manifest[filePath] !== nextManifest[filePath]) {
+            modifiedFiles[filePath] = true
+            explain(filePath, { reason: 'changed' })
+          }
+        }
+
+        for (let i = 0, l = storedPaths.length; i < l; i++) {
+          const storedPath = storedPaths[i]
+
+          if (!(storedPath in nextManifest)) {
+            removedFiles[storedPath] = true
+          }
+        }
+
+        isResuming = true
+
+        filterLog.info(`resume from ${chalk.yellow(cacheDir)} with ${Object.keys(modifiedFiles).length} modified`
+          + ` and ${Object.keys(removedFiles).length} removed files`)
+      }
+
+      manifest = nextManifest
+    }
+
+    /**
+     * Caches all files at the specific point in the pipeline and
+     * restores unmodified files filtered previously by `filter`.
+     * The outputs of each source are tracked by the tags of `filter`, `rename` rules are a fallback for untagged files only.
+     *
+     * **Options**
+     * * `id`
+     * * `cacheDir`
+     * * `sourceKey`
+     * * `rename`
+     * * `props`
+     * * `prune`
+     * * `reportFile`
+     * * `onReport`
+     *
+     * @param {Object} files
+     * @param {MetalSmith} metalsmith
+     * @param {Function} done
+     *
+     * @example
+     *
+     * metalsmith.use(increment({
+     *  plugin: 'cache',
+     * })
+     *
+     * @example <caption>Renaming files by RegExp</caption>
+     *
+     * metalsmith.use(increment({
+     *  plugin: 'cache',
+     *  rename: {
+     *    from: /.pug$/,
+     *    to: '.html',
+     *  },
+     * })
+     *
+     * @example <caption>Renaming files by function</caption>
+     *
+     * metalsmith.use(increment({
+     *  plugin: 'cache',
+     *  rename: (path) => {
+     *    path.extname = path.extname.replace('.pug', '.html')
+     *
+     *    return path
+     *  },
+     * })
+     *
+     * @example <caption>Persisting the cache across restarts</caption>
+     *
+     * metalsmith.use(increment({
+     *  plugin: 'cache',
+     *  cacheDir: '.cache',
+     * })
+     *
+     * @example <caption>Pruning outputs of removed files</caption>
+     *
+     * metalsmith.use(increment({
+     *  plugin: 'cache',
+     *  rename: {
+     *    from: /.pug$/,
+     *    to: '.html',
+     *  },
+     *  prune: {
+     *    dryRun: true, // only log what would be deleted
+     *  },
+     * })
+     *
+     * @example <caption>Reporting one-shot builds</caption>
+     *
+     * metalsmith.use(increment({
+     *  plugin: 'cache',
+     *  cacheDir: '.cache',
+     *  reportFile: 'reports/incremental.json',
+     * })
+     */
+    function cache(files, metalsmith, done) {
+      setImmediate(done)
+
+      const {
+        id = DEFAULT_ID, cacheDir, sourceKey = DEFAULT_SOURCE_KEY, reportFile, onReport,
+      } = options
+      const startTime = Date.now()
+      const isIncremental = isIncrementalBuild()
+      const stalePaths = []
+
+      // full rebuilds replace the whole store, which may be outdated by changed configuration or plugin code
+      if (cacheDir && !cached && !isFullBuild) {
+        const store = getStore(metalsmith, cacheDir, id)
+
+        if (store) {
+          cached = store.files
+          outputs = store.outputs || {}
+        }
+      }
 
-    if (isRunning) {
-      const { rename } = options
+      cached = cached || {}
+
+      const clonedFiles = clone(files)
+
+      const clonedKeys = Object.keys(clonedFiles)
+
+      report.outputs = report.outputs || {}
+
+      for (let i = 0, l = clonedKeys.length; i < l; i++) {
+        report.outputs[clonedKeys[i]] = true
+      }
+
+      // the tags of `filter` are non-enumerable by default and don't survive cloning
+      const builtOutputs = collectOutputs(files, sourceKey)
+      const { rename, prune } = options
       const renameIsFunc = typeof rename === 'function'
       const renameIsRegex = !renameIsFunc && typeof rename === 'object' && rename.from && rename.to
       const validRename = renameIsFunc || renameIsRegex
@@ -199,272 +798,1222 @@ const metalsmithIncremental = (options) => {
         rename.from = new RegExp(rename.from)
       }
 
-      // delete removed Files
-      const removedFilesKeys = Object.keys(removedFiles)
-
-      for (let i = 0, l = removedFilesKeys.length; i < l; i++) {
-        let removedFileKey = removedFilesKeys[i]
-        let found = !!cached[removedFileKey]
+      const isCached = outputKey => outputKey in cached
+      // the outputs of a source tracked by `filter`, renaming rules are a fallback only
+      const resolveOutputs = (sourcePath) => {
+        if (outputs[sourcePath]) {
+          return outputs[sourcePath]
+        }
 
         // if file not found -> may it's renamed
-        if (!found && validRename) {
-          removedFileKey = resolveRename(removedFileKey, rename)
+        if (!(sourcePath in cached) && validRename) {
+          return [resolveRename(sourcePath, rename)]
+        }
+
+        return [sourcePath]
+      }
+
+      if (isIncremental) {
+        // migrate moved files to their new keys
+        const movedFilesKeys = Object.keys(movedFiles)
+        const migratedKeys = []
+        const resolveMovedRename = movedPath => resolveRename(movedPath, rename)
+
+        for (let i = 0, l = movedFilesKeys.length; i < l; i++) {
+          const fromPath = movedFilesKeys[i]
+          const toPath = movedFiles[fromPath]
+          const fromKeys = resolveOutputs(fromPath)
+          const toKeys = []
+
+          for (let j = 0, k = fromKeys.length; j < k; j++) {
+            const fromKey = fromKeys[j]
+            const toKey = moveOutput(fromKey, fromPath, toPath, resolveMovedRename)
+
+            if (fromKey in cached) {
+              cached[toKey] = cached[fromKey]
+              delete cached[fromKey]
+              stalePaths.push(fromKey)
+              migratedKeys.push(toKey)
+              toKeys.push(toKey)
+            }
+          }
+
+          if (outputs[fromPath]) {
+            outputs[toPath] = toKeys
+            delete outputs[fromPath]
+          }
+        }
+
+        // delete removed Files
+        const removedFilesKeys = Object.keys(removedFiles)
+
+        for (let i = 0, l = removedFilesKeys.length; i < l; i++) {
+          const removedFileKey = removedFilesKeys[i]
+          const outputKeys = resolveOutputs(removedFileKey)
+
+          // remove all found outputs
+          for (let j = 0, k = outputKeys.length; j < k; j++) {
+            const outputKey = outputKeys[j]
+
+            if (outputKey in cached) {
+              delete cached[outputKey]
+              delete removedFiles[outputKey]
+              stalePaths.push(outputKey)
+            }
+          }
+
+          delete outputs[removedFileKey]
+        }
+
+        // delete removed directories
+        const cachedKeys = Object.keys(cached)
 
-          if (cached[removedFileKey]) {
-            found = true
+        for (let i = 0, l = cachedKeys.length; i < l; i++) {
+          const cachedKey = cachedKeys[i]
+
+          if (isInDir(cachedKey, removedDirs)) {
+            delete cached[cachedKey]
+            stalePaths.push(cachedKey)
           }
         }
 
-        // remove found file
-        if (found) {
-          delete cached[removedFileKey]
-          delete removedFiles[removedFileKey]
+        // restore filtered files and update by cache
+        const filteredFiles = filtered[id] || {}
+        const filteredKeys = Object.keys(filteredFiles)
+        let { props } = options
+
+        if (props && !Array.isArray(props)) {
+          props = [props]
+        }
+
+        for (let i = 0, l = filteredKeys.length; i < l; i++) {
+          const filteredKey = filteredKeys[i]
+          const outputKeys = resolveOutputs(filteredKey).filter(isCached)
+
+          // each output of a source is restored, e.g. all pages of a pagination
+          for (let j = 0, k = outputKeys.length; j < k; j++) {
+            const cachedKey = outputKeys[j]
+            const file = j === 0 ? filteredFiles[filteredKey] : { ...filteredFiles[filteredKey] }
+
+            // eslint-disable-next-line no-param-reassign
+            files[cachedKey] = restoreFile(file, cached[cachedKey], props)
+          }
+        }
+
+        // reset filtered
+        delete filtered[id]
+
+        // update modifiedFiles hash
+        Object.keys(clonedFiles).forEach((key) => {
+          modifiedFiles[key] = true
+        })
+
+        // moved files are restored from cache, but still need to be written to their new path
+        migratedKeys.forEach((key) => {
+          modifiedFiles[key] = true
+        })
+      }
+
+      // learn the outputs of each source which went through the pipeline, outputs it doesn't produce anymore are stale
+      const builtSources = Object.keys(builtOutputs)
+
+      for (let i = 0, l = builtSources.length; i < l; i++) {
+        const sourcePath = builtSources[i]
+        const previousOutputs = outputs[sourcePath] || []
+
+        for (let j = 0, k = previousOutputs.length; j < k; j++) {
+          const previousOutput = previousOutputs[j]
+
+          if (builtOutputs[sourcePath].indexOf(previousOutput) === -1 && !(previousOutput in clonedFiles)) {
+            delete cached[previousOutput]
+            stalePaths.push(previousOutput)
+          }
+        }
+
+        outputs[sourcePath] = builtOutputs[sourcePath]
+      }
+
+      // delete outputs of removed files, as incremental builds never clean the destination
+      if (prune && stalePaths.length) {
+        pruneOutputs(metalsmith.destination(), stalePaths, removedDirs, typeof prune === 'object' && !!prune.dryRun, cacheLog)
+      }
+
+      cached = {
+        ...cached,
+        ...clonedFiles,
+      }
+
+      // all files passed by the `filter` of the same id read the recorded keys
+      const tracker = stopMetadataTracking(id)
+
+      if (tracker) {
+        const readKeys = Object.keys(tracker.readKeys)
+
+        for (let i = 0, l = tracker.paths.length; i < l; i++) {
+          metadataStates[id].keys[tracker.paths[i]] = readKeys
+        }
+      }
+
+      if (cacheDir) {
+        const storePath = getStorePath(metalsmith, cacheDir, id)
+        const store = {
+          version: STORE_VERSION,
+          key: getStoreKey(metalsmith),
+          manifest,
+          files: cached,
+          outputs,
+          metadata: metadataStates[id],
+        }
+
+        saveStore(storePath, store)
+        stores[storePath] = store
+      }
+
+      report.timings.cache += Date.now() - startTime
+
+      if (reportFile || onReport) {
+        const buildReport = summarizeReport(report, isIncremental)
+
+        if (reportFile) {
+          writeReport(path.resolve(metalsmith.directory(), reportFile), buildReport)
+        }
+
+        if (onReport) {
+          onReport(buildReport)
         }
       }
+    }
+
+    /**
+     * Starts watching for file system changes inside `metalsmith.source()` directory.
+     * Changes arriving while a build is running are collected and rebuilt right afterwards in one follow-up build.
+     * Changes of a failed build are kept, until they are built successfully by any later build.
+     * A removed and an added file of the same contents within one build are detected as move.
+     * The plugin itself is a {@link WatchController}, to control the watcher and to listen to it's events.
+     * Call `close()` or `dispose()` of the session to stop watching.
+     *
+     * **Options**
+     * * `paths`
+     * * `dirs`
+     * * `delay`
+     * * `retry`
+     * * `retryBackoff`
+     * * `liveReload`
+     * * `ignore`
+     * * `defaultIgnore`
+     * * `usePolling`
+     * * `interval`
+     * * `awaitWriteFinish`
+     * * `watchOptions`
+     * * `fullRebuild`
+     * * `factory`
+     * * `signals`
+     * * `reportFile`
+     * * `done`
+     *
+     * @param {Object} files
+     * @param {MetalSmith} metalsmith
+     * @param {Function} done
+     *
+     * @example
+     *
+     * // optionally enable watching
+     * if(process.env.NODE_ENV === 'development') {
+     *  metalsmith.use(incremental({ plugin: 'watch' }))
+     * }
+     *
+     * @example <caption>Set debounce delay in [ms]</caption>
+     *
+     * metalsmith.use(incremental({
+     *  plugin: 'watch',
+     *  debounce: 200,
+     * }))
+     *
+     * @example <caption>Controlling the watcher</caption>
+     *
+     * const watcher = incremental.watch()
+     *
+     * metalsmith.use(watcher)
+     *
+     * watcher
+     *  .on('build:start', changes => browserSync.notify('rebuilding'))
+     *  .on('build:end', (changes, error) => error || browserSync.reload())
+     *
+     * // later on
+     * watcher.close()
+     *
+     * @example <caption>Live-reload changed pages and hot-swap changed stylesheets</caption>
+     *
+     * metalsmith.use(incremental({
+     *  plugin: 'watch',
+     *  liveReload: {
+     *    port: 35729,
+     *  },
+     * }))
+     *
+     * @example <caption>Force to rebuild other unmodified files by glob pattern map</caption>
+     *
+     * metalsmith.use(incremental({
+     *  plugin: 'watch',
+     *  paths: {
+     *    'foo/*.md': 'bar/*.pug',
+     *    'baz/*.md': ['bar/*.pug', '!bar/_*.pug'],
+     *  },
+     * }))
+     *
+     * @example <caption>Rebuild all files with fresh plugin code after configuration changes</caption>
+     *
+     * // `metalsmith.js` exports a function, which creates the configured instance
+     * const createMetalsmith = () => require('./metalsmith')()
+     *
+     * createMetalsmith().use(incremental({
+     *  plugin: 'watch',
+     *  fullRebuild: ['metalsmith.js', 'plugins/**', 'package.json'],
+     *  factory: createMetalsmith,
+     * }))
+     *
+     * @example <caption>Reporting why each file was rebuilt</caption>
+     *
+     * metalsmith.use(incremental({
+     *  plugin: 'watch',
+     *  reportFile: 'reports/incremental.json',
+     *  done: (error, files, report) => {
+     *    console.log(`${report.counts.rebuilt} rebuilt, ${report.counts.filtered} filtered`)
+     *  },
+     * }))
+     *
+     * @example <caption>Watch layouts and partials outside of `metalsmith.source()`</caption>
+     *
+     * metalsmith.use(incremental({
+     *  // `extends /base.pug` resolves to `layouts/base.pug`
+     *  baseDir: path.resolve(__dirname, 'layouts'),
+     * }))
+     *
+     * metalsmith.use(incremental({
+     *  plugin: 'watch',
+     *  dirs: ['layouts', 'partials'],
+     * }))
+     */
+    function watch(files, metalsmith, done) {
+      setImmediate(done)
+
+      const liveReloadOptions = options.liveReload && {
+        ...liveReloadDefaults,
+        ...(typeof options.liveReload === 'object' ? options.liveReload : {}),
+      }
+
+      if (liveReloadOptions && liveReloadOptions.inject) {
+        injectScript(files, getLiveReloadScript(liveReloadOptions))
+      }
+
+      if (isWatching) {
+        return
+      }
+      isWatching = true
+
+      // eslint-disable-next-line no-param-reassign
+      options = {
+        ...defaults,
+        ...options,
+      }
+
+      // eslint-disable-next-line no-param-reassign
+      options.paths = normalizePaths(options.paths)
+
+      if (typeof options.delay !== 'number') {
+        // eslint-disable-next-line no-param-reassign
+        options.delay = defaults.delay
+      }
 
-      // delete removed directories
-      const cachedKeys = Object.keys(cached)
+      const {
+        delay, paths, dirs = [], retry = 0, retryBackoff = defaults.retryBackoff, signals, reportFile, done: buildDone,
+        ignore = [], defaultIgnore = true, watchOptions = {}, fullRebuild = [], factory,
+      } = options
+      const source = metalsmith.source()
+      const ignoreGlobs = (defaultIgnore ? defaultIgnoreGlobs : []).concat(ignore)
+      const chokidarOptions = {
+        ...watchOptions,
+        ignored: [createIgnore(ignoreGlobs, source)].concat(watchOptions.ignored || []),
+        ignoreInitial: true,
+        // changes outside of source are reported relative to it, just like their resolved dependencies (`../layouts/base.pug`)
+        cwd: source,
+      }
 
-      for (let i = 0, l = cachedKeys.length; i < l; i++) {
-        const cachedKey = cachedKeys[i]
+      // explicit options win over `watchOptions`
+      const watcherKeys = ['usePolling', 'interval', 'awaitWriteFinish']
 
-        if (isInDir(cachedKey, removedDirs)) {
-          delete cached[cachedKey]
+      for (let i = 0, l = watcherKeys.length; i < l; i++) {
+        if (options[watcherKeys[i]] !== undefined) {
+          chokidarOptions[watcherKeys[i]] = options[watcherKeys[i]]
         }
       }
 
-      // restore filtered files and update by cache
-      const filteredKeys = Object.keys(filtered)
-      let { props } = options
+      const watcher = chokidar.watch([source].concat(dirs.map(dir => path.resolve(metalsmith.directory(), dir))), chokidarOptions)
+      const fullRebuildGlobs = [].concat(fullRebuild)
+      // configuration and plugin code outside of source, changes are reported relative to `metalsmith.directory()`
+      const fullRebuildWatcher = fullRebuildGlobs.length && chokidar.watch(fullRebuildGlobs, {
+        ignoreInitial: true,
+        cwd: metalsmith.directory(),
+      })
+      const debouncedBuild = debounce(triggerBuild, delay)
+      const debouncedFullBuild = debounce(() => triggerBuild({ isFull: true }), delay)
+      const reportPath = reportFile && path.resolve(metalsmith.directory(), reportFile)
+      // the instance to build, which may be re-created by `factory`
+      let instance = metalsmith
+      let retries = 0
+      let retryTimer
+      let isPaused = false
+      let isFullRequested = false
+      let isResetRequested = false
+      let addedHashes = {}
+
+      watchPaths = paths || null
+
+      if (liveReloadOptions) {
+        liveReloadServer = liveReload(liveReloadOptions, (error) => {
+          watchLog.error(`${chalk.red('live-reload failed')} ${error.message}`)
+        })
+
+        watchLog.info(`live-reload at ${chalk.blue(liveReloadServer.url)}`)
+      }
+
+      if (signals) {
+        process.on('SIGTERM', stopWatching)
+        process.on('SIGINT', stopWatching)
+        process.on('SIGQUIT', stopWatching)
+      }
 
-      for (let i = 0, l = filteredKeys.length; i < l; i++) {
-        const filteredKey = filteredKeys[i]
-        let cachedKey = filteredKey
-        let found = cachedKey in cached
+      closeWatcher = () => {
+        watchPaths = null
+        debouncedBuild.clear()
+        debouncedFullBuild.clear()
+        clearTimeout(retryTimer)
+        watcher.close()
 
-        if (!found && validRename) {
-          cachedKey = resolveRename(cachedKey, rename)
+        if (fullRebuildWatcher) {
+          fullRebuildWatcher.close()
+        }
+        controls = null
 
-          found = cachedKey in cached
+        if (liveReloadServer) {
+          liveReloadServer.close()
+          liveReloadServer = null
         }
 
-        if (found) {
-          const file = filtered[filteredKey]
-          const cache = cached[cachedKey]
+        process.removeListener('SIGTERM', stopWatching)
+        process.removeListener('SIGINT', stopWatching)
+        process.removeListener('SIGQUIT', stopWatching)
+
+        watchLog.info('closed')
+      }
+
+      controls = {
+        close: () => {
+          closeWatcher()
+          closeWatcher = null
+          isWatching = false
+        },
+        pause: () => {
+          isPaused = true
+          debouncedBuild.clear()
+        },
+        resume: () => {
+          isPaused = false
+
+          if (hasChanges(pending)) {
+            debouncedBuild()
+          }
+        },
+        rebuild: () => {
+          debouncedBuild.clear()
+          triggerBuild({ isFull: true })
+        },
+      }
+
+      watcher.on('ready', () => {
+        watchLog.info('ready to watch')
+        emitter.emit('ready')
+      })
+        .on('all', handleAll)
 
-          file.contents = cache.contents
+      if (fullRebuildWatcher) {
+        fullRebuildWatcher.on('all', handleFullRebuild)
+      }
+
+      function triggerBuild({ isRetry, isFull } = {}) {
+        // the running build triggers a follow-up build for changes arriving meanwhile
+        if (isRunning) {
+          isFullRequested = isFullRequested || !!isFull
+          return
+        }
+
+        // changes are collected while paused, only full rebuilds are triggered explicitly
+        if (isPaused && !isFull) {
+          return
+        }
+
+        if (!isFull && !hasChanges(pending)) {
+          watchLog.info('skip build, nothing changed')
+          return
+        }
+
+        detectMoves()
+
+        // configuration or plugin code changed since the last build
+        if (isResetRequested) {
+          reset()
+        }
+
+        watchLog.info(isFull ? 'start full rebuild' : 'start')
+
+        clearTimeout(retryTimer)
+
+        // changes get a fresh budget of retries
+        if (!isRetry) {
+          retries = 0
+        }
+
+        // take over all pending changes, new events are collected for the next build
+        modifiedFiles = pending.modifiedFiles
+        modifiedDirs = pending.modifiedDirs
+        removedFiles = pending.removedFiles
+        removedDirs = pending.removedDirs
+        movedFiles = pending.movedFiles
+        pending = createChangeSet()
+        report = createReport()
+
+        Object.keys(modifiedFiles).forEach((filePath) => {
+          explain(filePath, { reason: 'changed' })
+        })
+
+        // files depending on the old path of a moved file need to be rebuilt
+        Object.keys(movedFiles).forEach((fromPath) => {
+          modifiedFiles[fromPath] = true
+          explain(fromPath, { reason: 'moved', to: movedFiles[fromPath] })
+        })
+        // changes are tracked by the watcher from now on
+        isResuming = false
+        isFullBuild = !!isFull
+        isFullRequested = false
+
+        // a failed build compares it's changes against the manifest before it
+        const previousManifest = manifest
+        const changes = getChanges()
+
+        emitter.emit('build:start', changes)
+
+        isRunning = true
+        instance.build((error, builtFiles) => {
+          const isChangedMeanwhile = hasChanges(pending)
+          const buildReport = summarizeReport(report, !isFull)
+
+          if (error) {
+            watchLog.error(chalk.red('failed'))
+          } else {
+            watchLog.info('done')
+          }
+
+          if (reportPath) {
+            writeReport(reportPath, buildReport)
+          }
+
+          if (error) {
+            keepChanges(previousManifest)
+          }
+
+          resetChanges()
+
+          isRunning = false
+          isFullBuild = false
+
+          // files restored by `cache` didn't change, which lets the client hot-swap changed stylesheets only
+          const changedPaths = builtFiles ? Object.keys(builtFiles).filter(builtPath => !report.outputs || report.outputs[builtPath]) : []
+
+          if (!error && liveReloadServer && changedPaths.length) {
+            liveReloadServer.broadcast(changedPaths.map(changedPath => changedPath.split(path.sep).join('/')))
+          }
 
-          if (props) {
-            if (!Array.isArray(props)) {
-              props = [props]
+          if (buildDone) {
+            buildDone(error, builtFiles, buildReport)
+          }
+
+          // unhandled `error` events would throw
+          if (error && emitter.listenerCount('error')) {
+            emitter.emit('error', error, changes)
+          }
+
+          emitter.emit('build:end', changes, error || null, buildReport)
+
+          // the watcher may have been closed by any callback
+          if (!controls) {
+            return
+          }
+
+          if (isFullRequested) {
+            triggerBuild({ isFull: true })
+          } else if (isChangedMeanwhile) {
+            watchLog.info('rebuild, changed during build')
+
+            debouncedBuild()
+          } else if (error && retries < retry) {
+            const retryDelay = retryBackoff * Math.pow(2, retries)
+
+            retries += 1
+            retryTimer = setTimeout(triggerBuild, retryDelay, { isRetry: true })
+
+            watchLog.warn(`retry ${retries}/${retry} in ${retryDelay}ms`)
+          }
+        })
+      }
+
+      function getChanges() {
+        return mergeChanges(createChangeSet(), {
+          modifiedFiles,
+          modifiedDirs,
+          removedFiles,
+          removedDirs,
+          movedFiles,
+        })
+      }
+
+      function detectMoves() {
+        const removedPaths = Object.keys(pending.removedFiles)
+        const addedPaths = Object.keys(addedHashes)
+
+        // pair each removed file with an added file of the same contents
+        for (let i = 0, l = removedPaths.length; i < l; i++) {
+          const removedPath = removedPaths[i]
+          let addedPath
+
+          for (let j = 0, k = addedPaths.length; j < k && !addedPath; j++) {
+            const candidate = addedPaths[j]
+
+            if (pending.modifiedFiles[candidate] && addedHashes[candidate] === manifest[removedPath]) {
+              addedPath = candidate
             }
+          }
+
+          if (addedPath) {
+            delete pending.removedFiles[removedPath]
+            delete pending.modifiedFiles[addedPath]
+            delete addedHashes[addedPath]
+            pending.movedFiles[removedPath] = addedPath
+
+            watchLog.info(`move ${chalk.yellow(removedPath)} to ${chalk.yellow(addedPath)}`)
+
+            emitter.emit('move', removedPath, addedPath, mergeChanges(createChangeSet(), pending))
+          }
+        }
+
+        addedHashes = {}
+      }
 
-            for (let j = 0, k = props.length; j < k; j++) {
-              const prop = props.length
-
-              if (Array.isArray(prop)) {
-                let tmpFile = file
-                let tmpCache = cache
-
-                for (let n = 0, m = prop.length; n < m; n++) {
-                  const key = prop[n]
-
-                  if (n === m - 1 || !(key in tmpFile)) {
-                    tmpFile[key] = tmpCache[key]
-                    break
-                  } else if (tmpFile[key] && tmpCache[key]) {
-                    tmpFile = tmpFile[key]
-                    tmpCache = tmpCache[key]
-                  }
-                }
-              } else {
-                file[prop] = cache[prop]
-              }
+      function keepChanges(previousManifest) {
+        const dirtyPaths = Object.keys(modifiedFiles).concat(Object.keys(removedFiles), modifiedDirs, removedDirs)
+
+        // changes of the failed build go first, as events arriving meanwhile are more recent
+        pending = mergeChanges(getChanges(), pending)
+        manifest = previousManifest
+
+        for (let i = 0, l = dirtyPaths.length; i < l; i++) {
+          watchLog.warn(`${chalk.yellow(dirtyPaths[i])} remains dirty`)
+        }
+      }
+
+      function handleAll(event, filePath) {
+        switch (event) {
+          case 'add':
+          case 'change':
+            detectChange(event, filePath)
+            return
+
+          case 'unlink':
+            pending.removedFiles[filePath] = true
+            break
+
+          case 'addDir':
+            pending.modifiedDirs.push(filePath)
+            break
+
+          case 'unlinkDir':
+            pending.removedDirs.push(filePath)
+            break
+
+          default:
+            return
+        }
+
+        watchLog.info(`${event} ${chalk.yellow(filePath)}`)
+
+        emitChange(event, filePath)
+        debouncedBuild()
+      }
+
+      function detectChange(event, filePath) {
+        const previousHash = manifest[filePath]
+
+        // added files are hashed too, to detect moves
+        if ((!previousHash && event !== 'add') || typeof instance.readFile !== 'function') {
+          handleChange(event, filePath)
+          return
+        }
+
+        instance.readFile(filePath, (error, file) => {
+          const fileHash = !error && hashFile(file)
+
+          if (!fileHash || fileHash !== previousHash) {
+            if (fileHash && event === 'add') {
+              addedHashes[filePath] = fileHash
             }
+
+            handleChange(event, filePath)
+            return
           }
 
-          // eslint-disable-next-line no-param-reassign
-          files[cachedKey] = file
+          // a file restored with the same contents isn't removed anymore
+          delete pending.removedFiles[filePath]
+
+          watchLog.info(`${event} ${chalk.yellow(filePath)} skipped, nothing changed`)
+        })
+      }
+
+      function handleChange(event, filePath) {
+        pending.modifiedFiles[filePath] = true
+
+        watchLog.info(`${event} ${chalk.yellow(filePath)}`)
+
+        emitChange(event, filePath)
+        debouncedBuild()
+      }
+
+      function handleFullRebuild(event, filePath) {
+        if (event === 'addDir' || event === 'unlinkDir') {
+          return
         }
+
+        const uncachedPaths = uncacheModule(path.resolve(metalsmith.directory(), filePath))
+
+        watchLog.info(`${event} ${chalk.yellow(filePath)}, full rebuild`)
+
+        for (let i = 0, l = uncachedPaths.length; i < l; i++) {
+          watchLog.debug(`uncache ${chalk.yellow(path.relative(metalsmith.directory(), uncachedPaths[i]))}`)
+        }
+
+        isResetRequested = true
+        debouncedFullBuild()
       }
 
-      // reset filtered
-      filtered = {}
+      function reset() {
+        isResetRequested = false
+        // the pipeline key of the re-created instance or the changed `package.json`
+        storeKey = undefined
+        clearCaches()
 
-      // update modifiedFiles hash
-      Object.keys(clonedFiles).forEach((key) => {
-        modifiedFiles[key] = true
-      })
-    }
+        if (!factory) {
+          return
+        }
+
+        try {
+          const superseded = instance.plugins
+
+          instance = factory()
+          forgetPlugins(superseded.filter(supersededPlugin => instance.plugins.indexOf(supersededPlugin) === -1))
+          watchLog.info('re-created metalsmith')
+        } catch (error) {
+          watchLog.error(`${chalk.red('re-creating metalsmith failed')} ${error.message}`)
+        }
+      }
+
+      function emitChange(event, filePath) {
+        emitter.emit('change', event, filePath, mergeChanges(createChangeSet(), pending))
+      }
 
-    cached = {
-      ...cached,
-      ...clonedFiles,
+      function stopWatching() {
+        controls.close()
+        process.exit(0)
+      }
     }
   }
 
+  metalsmithIncremental.filter = (options = {}) => metalsmithIncremental({ ...options, plugin: 'filter' })
+  metalsmithIncremental.cache = (options = {}) => metalsmithIncremental({ ...options, plugin: 'cache' })
+  metalsmithIncremental.watch = (options = {}) => metalsmithIncremental({ ...options, plugin: 'watch' })
+  metalsmithIncremental.wrap = wrap
+  metalsmithIncremental.aggregate = aggregate
+  metalsmithIncremental.graph = inspect
+  metalsmithIncremental.dispose = dispose
+
+  return metalsmithIncremental
+
   /**
-   * Starts watching for file system changes inside `metalsmith.source()` directory.
+   * Returns the resolved dependencies and dependents of all files known by the `filter` plugins of this session.
+   * The graph is updated by each build.
    *
-   * **Options**
-   * * `paths`
-   * * `delay`
-   * * `done`
-   *
-   * @param {Object} files
-   * @param {MetalSmith} metalsmith
-   * @param {Function} done
+   * @param {string} [filePath] - The path of a single file to inspect (relative to `metalsmith.source()`).
+   * @returns {GraphEntry|Object.<string, GraphEntry>} - Returns the entry of `filePath` or a hash of all entries.
    *
    * @example
    *
-   * // optionally enable watching
-   * if(process.env.NODE_ENV === 'development') {
-   *  metalsmith.use(incremental({ plugin: 'watch' }))
-   * }
+   * incremental.graph('layouts/base.pug')
+   * // { dependencies: ['partials/head.pug'], dependents: ['index.pug', 'about.pug'] }
    *
-   * @example <caption>Set debounce delay in [ms]</caption>
+   * incremental.graph('../partials/footer.pug')
+   * // { dependencies: [], dependents: ['index.pug', 'about.pug'] }
+   */
+  function inspect(filePath) {
+    return inspectGraph(Array.from(graphs.values()), filePath)
+  }
+
+  /**
+   * Wraps a single plugin, which is fed with changed files only, without the need to pair `filter` and `cache` around it.
+   * The outputs of each file are memoized by the hash of it's contents and `hashProps`,
+   * outputs of unchanged files are merged back into `files` afterwards (syncing `contents` and `props`).
+   * Works within one-shot builds as well as with `watch`, as long as the plugin depends on each file only.
    *
-   * metalsmith.use(incremental({
-   *  plugin: 'watch',
-   *  debounce: 200,
-   * }))
+   * @param {Function} plugin - The plugin to wrap.
+   * @param {Object} [options] - Wrap options hash.
+   * @param {string[]} [options.hashProps=[]] - Names of props to hash besides `contents`, e.g. front-matter the plugin depends on.
+   * @param {PropsList} [options.props=['contents']] - An array of property names to sync from memoized outputs.
+   * @returns {Function} - Returns the wrapped plugin.
    *
-   * @example <caption>Force to rebuild other unmodified files by glob pattern map</caption>
+   * @example
    *
-   * metalsmith.use(incremental({
-   *  plugin: 'watch',
-   *  paths: {
-   *    'foo/*.md': 'bar/*.pug',
-   *  },
+   * metalsmith.use(incremental.wrap(markdown(), {
+   *  hashProps: ['layout'],
+   *  props: ['title'],
    * }))
    */
-  function watch(files, metalsmith, done) {
-    setImmediate(done)
+  function wrap(plugin, options = {}) {
+    const memo = {}
+    const wrapped = wrapPlugin(plugin, options, memo, wrapLog)
 
-    if (isWatching) {
-      return
-    }
-    isWatching = true
+    memos.set(wrapped, memo)
 
-    // eslint-disable-next-line no-param-reassign
-    options = {
-      ...defaults,
-      ...options,
-    }
+    return wrapped
+  }
 
-    if (typeof options.paths === 'string') {
-      // eslint-disable-next-line no-param-reassign
-      options.paths = {
-        [options.paths]: options.paths,
-      }
-    }
+  /**
+   * Wraps an aggregate plugin, e.g. collections, tags, sitemaps or search indexes, which needs to see all files.
+   * Besides changed files, the plugin is fed with read-only copies of the unmodified files held back by the matching `filter`.
+   * Afterwards only outputs of the plugin which changed since the last build are passed on,
+   * and unmodified files only if the plugin changed them differently than before (e.g. `previous` and `next` links),
+   * so heavy per-file plugins still skip everything else.
+   * Use it directly after `filter`, so changed and unmodified files are seen at the same stage.
+   *
+   * @param {Function} plugin - The plugin to wrap.
+   * @param {Object} [options] - Aggregate options hash.
+   * @param {string} [options.id='default'] - The id of the `filter` whose held back files are shown to the plugin.
+   * @returns {Function} - Returns the wrapped plugin.
+   *
+   * @example
+   *
+   * metalsmith
+   *  .use(incremental.filter())
+   *  .use(incremental.aggregate(collections({ posts: 'posts/*.md' })))
+   *  .use(markdown())
+   *  .use(incremental.cache())
+   */
+  function aggregate(plugin, options = {}) {
+    const { id = DEFAULT_ID } = options
+    const memo = {}
+    const wrapped = aggregatePlugin(plugin, () => filtered[id] || {}, isIncrementalBuild, memo, aggregateLog)
 
-    if (typeof options.delay !== 'number') {
-      // eslint-disable-next-line no-param-reassign
-      options.delay = defaults.delay
+    memos.set(wrapped, memo)
+
+    return wrapped
+  }
+
+  /**
+   * Closes the watcher of this session and resets all of it's state,
+   * which allows to start watching again afterwards.
+   */
+  function dispose() {
+    if (closeWatcher) {
+      closeWatcher()
+      closeWatcher = null
     }
 
-    const { delay, paths, done: buildDone } = options
-    const source = metalsmith.source()
-    const watcher = chokidar.watch(source, {
-      ignoreInitial: true,
-      cwd: source,
+    resetChanges()
+    pending = createChangeSet()
+    filtered = {}
+    report = createReport()
+    isWatching = false
+    isRunning = false
+    isResuming = false
+    isFullBuild = false
+    manifest = {}
+    storeKey = undefined
+
+    clearCaches()
+  }
+
+  /**
+   * Clears all state kept across builds - dependency graphs, loaded stores, metadata states, memos and the files of each `cache`.
+   *
+   * @private
+   */
+  function clearCaches() {
+    graphs.forEach((graph) => {
+      /* eslint-disable no-param-reassign */
+      graph.dependencies = {}
+      graph.dependents = {}
+      graph.hashes = {}
+      graph.cycles = {}
+      /* eslint-enable no-param-reassign */
     })
-    const debouncedBuild = debounce(triggerBuild, delay)
 
-    process.on('SIGTERM', stopWatching)
-    process.on('SIGINT', stopWatching)
-    process.on('SIGQUIT', stopWatching)
+    const storePaths = Object.keys(stores)
+
+    for (let i = 0, l = storePaths.length; i < l; i++) {
+      delete stores[storePaths[i]]
+    }
 
-    watcher.on('ready', () => { log('ready to watch') })
-      .on('all', handleAll)
+    const ids = Object.keys(metadataStates).concat(Object.keys(metadataTrackers))
 
-    function triggerBuild() {
-      log('start')
+    for (let i = 0, l = ids.length; i < l; i++) {
+      stopMetadataTracking(ids[i])
+      delete metadataStates[ids[i]]
+    }
 
-      if (paths) {
-        const globs = Object.keys(paths)
-        const modifiedFilesList = Object.keys(modifiedFiles)
+    memos.forEach((memo) => {
+      const memoPaths = Object.keys(memo)
 
-        globs.forEach((glob) => {
-          if (minimatch.match(modifiedFilesList, glob)) {
-            forceGlobs.push(paths[glob])
-          }
-        })
+      for (let i = 0, l = memoPaths.length; i < l; i++) {
+        // eslint-disable-next-line no-param-reassign
+        delete memo[memoPaths[i]]
       }
+    })
 
-      isRunning = true
-      metalsmith.build((...args) => {
-        modifiedFiles = {}
-        modifiedDirs = []
-        removedFiles = {}
-        removedDirs = []
-        forceGlobs = []
+    cacheResets.forEach(cacheReset => cacheReset())
+  }
 
-        log('done')
+  /**
+   * Forgets the state of plugins which aren't used anymore, e.g. those of a Metalsmith instance re-created by `factory`.
+   *
+   * @private
+   * @param {Function[]} plugins - The plugins to forget.
+   */
+  function forgetPlugins(plugins) {
+    for (let i = 0, l = plugins.length; i < l; i++) {
+      graphs.delete(plugins[i])
+      memos.delete(plugins[i])
+      cacheResets.delete(plugins[i])
+    }
+  }
 
-        isRunning = false
+  /**
+   * Resets all changes of the current build.
+   *
+   * @private
+   */
+  function resetChanges() {
+    modifiedFiles = {}
+    modifiedDirs = []
+    removedFiles = {}
+    removedDirs = []
+    movedFiles = {}
+  }
 
-        if (buildDone) {
-          buildDone(...args)
-        }
-      })
+  /**
+   * Records the reason of a modified file for the report of the current build, the first reason recorded wins.
+   *
+   * @private
+   * @param {string} filePath
+   * @param {Object} reason
+   */
+  function explain(filePath, reason) {
+    if (!report.reasons[filePath]) {
+      report.reasons[filePath] = reason
     }
+  }
 
-    function handleAll(event, filePath) {
-      switch (event) {
-        case 'add':
-        case 'change':
-          modifiedFiles[filePath] = true
-          break
+  /**
+   * Stops recording the metadata keys read by the files of a checkpoint.
+   *
+   * @private
+   * @param {string} id
+   * @returns {Object|undefined} - Returns the stopped tracker.
+   */
+  function stopMetadataTracking(id) {
+    const tracker = metadataTrackers[id]
 
-        case 'unlink':
-          removedFiles[filePath] = true
-          break
+    if (tracker) {
+      tracker.stop()
+      delete metadataTrackers[id]
+    }
 
-        case 'addDir':
-          modifiedDirs.push(filePath)
-          break
+    return tracker
+  }
 
-        case 'unlinkDir':
-          removedDirs.push(filePath)
-          break
+  /**
+   * Checks whether the current build is an incremental one, which builds modified files only.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  function isIncrementalBuild() {
+    return (isRunning || isResuming) && !isFullBuild
+  }
 
-        default:
-          return
+  /**
+   * Computes the key of the current pipeline once, before any plugin had the chance to touch it's options.
+   *
+   * @private
+   * @param {Metalsmith} metalsmith
+   * @returns {string}
+   */
+  function getStoreKey(metalsmith) {
+    if (!storeKey) {
+      storeKey = pipelineKey(metalsmith, plugin => pluginOptions.get(plugin))
+    }
+
+    return storeKey
+  }
+
+  /**
+   * Loads the persisted store of `cacheDir` once and invalidates it,
+   * if it was written by another store version or another pipeline configuration.
+   *
+   * @private
+   * @param {Metalsmith} metalsmith
+   * @param {string} cacheDir
+   * @param {string} [id]
+   * @returns {Object|null} - Returns the valid store or `null`.
+   */
+  function getStore(metalsmith, cacheDir, id) {
+    const storePath = getStorePath(metalsmith, cacheDir, id)
+
+    if (!(storePath in stores)) {
+      const store = loadStore(storePath)
+      const isValid = !!store && store.version === STORE_VERSION && store.key === getStoreKey(metalsmith)
+
+      if (store && !isValid) {
+        cacheLog.info(`invalidate ${chalk.yellow(cacheDir)}`)
       }
 
-      log(`${event} ${chalk.yellow(filePath)}`)
+      stores[storePath] = isValid ? store : null
+    }
+
+    return stores[storePath]
+  }
+}
+
+/**
+ * Resolves the path of the store file inside `cacheDir`, each checkpoint id has it's own store.
+ *
+ * @private
+ * @param {Metalsmith} metalsmith
+ * @param {string} cacheDir
+ * @param {string} [id=default]
+ * @returns {string}
+ */
+function getStorePath(metalsmith, cacheDir, id = DEFAULT_ID) {
+  const storeFile = id === DEFAULT_ID ? STORE_FILE : STORE_FILE.replace(/\.json$/, `.${id}.json`)
 
-      debouncedBuild()
+  return path.resolve(metalsmith.directory(), cacheDir, storeFile)
+}
+
+/**
+ * Collects the metadata keys declared for a file by a glob-pattern map.
+ *
+ * @private
+ * @param {string} filePath
+ * @param {Object.<string, string[]>} declarations
+ * @returns {string[]}
+ */
+function getDeclaredKeys(filePath, declarations) {
+  const globs = Object.keys(declarations)
+  let keys = []
+
+  for (let i = 0, l = globs.length; i < l; i++) {
+    if (minimatch(filePath, globs[i])) {
+      keys = keys.concat(declarations[globs[i]])
     }
+  }
+
+  return keys
+}
+
+/**
+ * Renders the script tag of the live-reload client.
+ *
+ * @private
+ * @param {LiveReloadOptions} liveReloadOptions
+ * @returns {string}
+ */
+function getLiveReloadScript({ host, port }) {
+  return `<script src="http://${host}:${port}/livereload.js"></script>`
+}
 
-    function stopWatching() {
-      watcher.close()
-      process.exit(0)
+/**
+ * Normalizes a paths map, a single glob forces updates of the files it matches.
+ *
+ * @private
+ * @param {PathsObject|string} [paths]
+ * @returns {PathsObject|undefined}
+ */
+function normalizePaths(paths) {
+  if (typeof paths === 'string') {
+    return {
+      [paths]: paths,
     }
   }
+
+  return paths
 }
 
-export default metalsmithIncremental
+/**
+ * Creates an empty set of changes.
+ *
+ * @private
+ * @returns {Object}
+ */
+function createChangeSet() {
+  return {
+    modifiedFiles: {},
+    modifiedDirs: [],
+    removedFiles: {},
+    removedDirs: [],
+    movedFiles: {},
+  }
+}
 
 /**
- * A callback which defines renaming rules.
+ * Creates an empty report of a build, which is collected by `filter` and `cache`.
+ *
+ * @private
+ * @returns {Object}
+ */
+function createReport() {
+  return {
+    startTime: Date.now(),
+    // the reason of each modified file, by it's path
+    reasons: {},
+    files: {},
+    filtered: 0,
+    // the outputs which went through the pipeline, by each `cache`
+    outputs: null,
+    timings: {
+      filter: 0,
+      dependencies: 0,
+      cache: 0,
+    },
+  }
+}
+
+/**
+ * Merges sets of changes into a target set of changes.
+ *
+ * @private
+ * @param {Object} target
+ * @param {...Object} changesList
+ * @returns {Object} - Returns `target`.
+ */
+function mergeChanges(target, ...changesList) {
+  for (let i = 0, l = changesList.length; i < l; i++) {
+    const changes = changesList[i]
+
+    Object.assign(target.modifiedFiles, changes.modifiedFiles)
+    Object.assign(target.removedFiles, changes.removedFiles)
+    Object.assign(target.movedFiles, changes.movedFiles)
+    target.modifiedDirs.push(...changes.modifiedDirs.filter(dir => target.modifiedDirs.indexOf(dir) === -1))
+    target.removedDirs.push(...changes.removedDirs.filter(dir => target.removedDirs.indexOf(dir) === -1))
+  }
+
+  return target
+}
+
+/**
+ * Checks whether a set of changes contains any change.
+ *
+ * @private
+ * @param {Object} changes
+ * @returns {boolean}
+ */
+function hasChanges(changes) {
+  return !!(Object.keys(changes.modifiedFiles).length || Object.keys(changes.removedFiles).length
+    || changes.modifiedDirs.length || changes.removedDirs.length || Object.keys(changes.movedFiles).length)
+}
+
+const incremental = session()
+
+incremental.session = session
+incremental.depResolvers = resolvers
+
+export default incremental
+
+/**
+ * A callback which resolves the dependencies of a file, either synchronously or by a Promise.
  *
  * @callback DependencyResolver
  * @param {Object} file - The currently processed file.
  * @param {string} baseDir - The supplied `baseDir` by `options.baseDir`.
+ * @param {Object} context - Helps to resolve files outside of the pipeline.
+ * @param {Metalsmith} context.metalsmith - The current Metalsmith instance.
+ * @param {string} context.source - The source directory of Metalsmith.
+ * @param {string} context.filePath - The path of the currently processed file.
+ * @param {Function} context.readFile - Takes a dependency and resolves with the file it refers to (read from disk if necessary) or `null`.
+ * @param {Function} context.resolve - Takes a dependency and resolves with it's path and the paths of all of it's nested dependencies,
+ * (relative to the currently processed file) by reading them from disk if necessary.
  *
- * @returns {Array|null} dependencies - Returns an array of dependencies (relative to `baseDir`).
+ * @returns {Array|null|Promise.<Array>} dependencies - Returns an array of dependencies (relative to `baseDir`).
  */
 
 /**
  * An object mapping file extension to related dependency resolving methods.
+ * Set `true` to opt-in to the built-in resolver of an extension (`hbs`, `handlebars`, `njk`, `nunjucks`, `twig`,
+ * `liquid`, `ejs`, `scss`, `sass`, `less`, `md` and `markdown`) or `false` to opt-out of the default `pug` resolver.
+ * All built-in resolvers are available at `incremental.depResolvers` too.
  *
  * **Important**
  * The first capturing group of your RegExp needs to contain the dependency path.
  *
- * @typedef {Object.<string, (RegExp|DependencyResolver)>} DependencyResolverMap
+ * @typedef {Object.<string, (RegExp|DependencyResolver|boolean)>} DependencyResolverMap
+ *
+ * @example
+ *
+ * {
+ *   hbs: true,
+ *   scss: true,
+ *   md: /^<!-- include (.+) -->$/mg,
+ * }
+ */
+
+/**
+ * A strategy to resolve a dependency to the exact source paths it may refer to.
+ * Built-in strategies exist for `pug`, `hbs`, `njk`, `twig`, `liquid`, `ejs`, `scss`, `sass`, `less` and `md`,
+ * e.g. SCSS looks up `.scss`, `.sass` and `.css` files, `_partials` and `index` files.
+ *
+ * @typedef {Object} PathStrategy
+ * @property {string[]} [extensions] - Extensions to append to dependencies, unless they have one of them already.
+ * @property {boolean} [partials=false] - Whether to look up underscore-prefixed partials too.
+ * @property {string[]} [index] - Index file names to look up, if the dependency is a directory.
+ * @property {string[]} [paths] - Search dirs (relative to `metalsmith.source()`) to look up besides the depending file's dir.
+ */
+
+/**
+ * A callback which resolves a dependency to the exact source paths it may refer to.
+ *
+ * @callback PathResolver
+ * @param {string} dependency - The dependency as found by the dependency resolver.
+ * @param {string} filePath - The path of the depending file.
+ * @param {Object} context - Holds the current `metalsmith` instance and the `baseDir`.
+ *
+ * @returns {string[]} candidates - Returns all candidate paths (relative to `metalsmith.source()`).
+ */
+
+/**
+ * An object mapping file extension to path resolution strategies.
+ * Strategy objects are merged into the built-in strategy of the same extension.
+ *
+ * @typedef {Object.<string, (PathStrategy|PathResolver)>} PathResolverMap
+ *
+ * @example
+ *
+ * {
+ *   hbs: { paths: ['partials'] },
+ *   liquid: (dependency) => [`_includes/${dependency}`],
+ * }
  */
 
 /**
@@ -517,6 +2066,8 @@ export default metalsmithIncremental
 
 /**
  * Paths pattern map to force rebuilding unmodified files.
+ * Each glob of changed files maps to a glob, a list of globs (negated by `!`) or a function,
+ * which receives the matching changed paths and all files and returns the paths of the files to rebuild.
  *
  * ````js
  * {
@@ -527,11 +2078,22 @@ export default metalsmithIncremental
  * ````js
  * {
  *   'templates/*': '*', // every templates changed will trigger a rebuild of all files
+ *   'styles/*': ['*.html', '!drafts/*.html'],
+ *   'data/authors/*.json': (changedPaths, files) => Object.keys(files)
+ *     .filter(filePath => changedPaths.indexOf(`data/authors/${files[filePath].author}.json`) > -1),
  * }
  * ````
  *
  * @typedef {Object} PathsObject
- * @property {Glob|string} - A `glob` or `string` map specifying which other files should run through the pipeline.
+ * @property {Glob|string|string[]|Function} - A `glob`, `string`, list or function map specifying which other files should run through the pipeline.
+ */
+
+/**
+ * The resolved dependencies and dependents of a file.
+ *
+ * @typedef {Object} GraphEntry
+ * @property {string[]} dependencies - The resolved paths this file depends on.
+ * @property {string[]} dependents - The paths of all files directly depending on this file.
  */
 
 /**
@@ -540,4 +2102,84 @@ export default metalsmithIncremental
  * @callback IncrementalDoneFn
  * @param {null|any} error - Set only if an error has occurred.
  * @param {Object} files - A hash of files build by Metalsmith.
+ * @param {BuildReport} report - The report of the build.
+ */
+
+/**
+ * A logger to log to instead of the console, e.g. `console`, `winston` or `pino`.
+ * Each message is prefixed by it's namespace, e.g. `[metalsmith-incremental:deps]`.
+ * Categories are `filter`, `deps`, `cache`, `watch`, `wrap` and `aggregate`.
+ *
+ * @typedef {Object} Logger
+ * @property {Function} debug - Logs tracing messages, e.g. why a file is rebuilt.
+ * @property {Function} info - Logs the progress of builds and the watcher.
+ * @property {Function} warn - Logs circular dependencies, retries and changes of failed builds.
+ * @property {Function} error - Logs failed builds.
+ */
+
+/**
+ * A set of changes detected by the `watch` plugin.
+ *
+ * @typedef {Object} ChangeSet
+ * @property {Object.<string, boolean>} modifiedFiles - A hash of added or changed files paths.
+ * @property {string[]} modifiedDirs - The paths of all added directories.
+ * @property {Object.<string, boolean>} removedFiles - A hash of removed files paths.
+ * @property {string[]} removedDirs - The paths of all removed directories.
+ * @property {Object.<string, string>} movedFiles - Maps the old path of each moved file to it's new path.
+ */
+
+/**
+ * The `watch` plugin, which controls it's watcher and emits events:
+ * * `ready` - The watcher is ready.
+ * * `change` - `(event, filePath, changes)` A change was detected, `changes` are all pending changes.
+ * * `move` - `(fromPath, toPath, changes)` A removed and an added file of the same contents were paired as move.
+ * * `build:start` - `(changes)` An incremental build started.
+ * * `build:end` - `(changes, error, report)` A build finished, `error` is `null` on success.
+ * * `error` - `(error, changes)` A build failed.
+ *
+ * @typedef {Function} WatchController
+ * @property {Function} close - Stops watching, a subsequent build starts watching again.
+ * @property {Function} pause - Collects changes without building them.
+ * @property {Function} resume - Builds all changes collected while paused.
+ * @property {Function} rebuild - Builds all files right away, even while paused.
+ * @property {Function} on - Adds an event listener, returns the controller.
+ * @property {Function} once - Adds an event listener called only once, returns the controller.
+ * @property {Function} off - Removes an event listener, returns the controller.
+ */
+
+/**
+ * Options of the live-reload server started by the `watch` plugin.
+ *
+ * @typedef {Object} LiveReloadOptions
+ * @property {number} [port=35729] - The port to listen on.
+ * @property {string} [host=localhost] - The host to listen on.
+ * @property {boolean} [inject=true] - Injects the client script tag into all HTML files, else include
+ * `<script src="http://localhost:35729/livereload.js"></script>` yourself.
+ */
+
+/**
+ * The report of a build, which explains why each file went through the pipeline.
+ * Each file is explained by a `reason`:
+ * * `changed` - The file was added or changed.
+ * * `moved` - The file was moved, `to` is it's new path.
+ * * `dir` - The file is inside the added directory `dir`.
+ * * `force` - The file was forced by the glob `glob` of `paths`.
+ * * `metadata` - The file depends on the changed metadata key `key`.
+ * * `dependency` - The file depends on a modified file, `chain` lists the path of each dependency
+ *   and `cause` explains the last one.
+ * * `full` - The build wasn't incremental.
+ *
+ * @typedef {Object} BuildReport
+ * @property {boolean} incremental - Whether the build was incremental.
+ * @property {string} startTime - The time the build started at, as ISO string.
+ * @property {Object} counts - The number of `rebuilt` and `filtered` source files.
+ * @property {Object} timings - The milliseconds spent by `filter`, resolving `dependencies`, other `plugins`, `cache` and in `total`.
+ * @property {Object.<string, Object>} files - The reason of each source file, which went through the pipeline.
+ */
+
+/**
+ * Options to prune outputs of removed files.
+ *
+ * @typedef {Object} PruneOptions
+ * @property {boolean} [dryRun=false] - Only logs what would be deleted.
  */
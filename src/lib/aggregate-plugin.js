@@ -0,0 +1,146 @@
+import chalk from 'chalk'
+import clone from 'clone'
+
+import hash from './hash'
+import runPlugin from './run-plugin'
+
+// stats change on every touch and aren't cloned faithfully
+const ignoredProps = ['stats']
+
+/**
+ * Replaces a reference to a file of the view by it's path.
+ *
+ * @private
+ * @param {*} value - Any prop value of a file.
+ * @param {Map} references - Maps each file of the view to it's path.
+ * @returns {*} - Returns the path of a referenced file or the value itself.
+ */
+const dereference = (value, references) => (references.has(value) ? `file:${references.get(value)}` : value)
+
+/**
+ * Hashes a file after the aggregate plugin has run.
+ * References to other files, e.g. `previous` and `next` links of a collection, are hashed by their paths,
+ * so a file isn't affected by the contents of it's neighbours.
+ *
+ * @private
+ * @param {Object} file - A metalsmith file.
+ * @param {Map} references - Maps each file of the view to it's path.
+ * @returns {string} - Returns the hash of the file.
+ */
+const hashFile = (file, references) => {
+  const props = Object.keys(file)
+  const values = {}
+
+  for (let i = 0, l = props.length; i < l; i++) {
+    const prop = props[i]
+    const value = file[prop]
+
+    if (ignoredProps.indexOf(prop) === -1) {
+      values[prop] = Array.isArray(value)
+        ? value.map(item => dereference(item, references))
+        : dereference(value, references)
+    }
+  }
+
+  return hash(values)
+}
+
+/**
+ * Wraps an aggregate plugin, e.g. collections, tags, sitemaps or search indexes,
+ * which is fed with changed files plus read-only copies of all unmodified files held back by `filter`.
+ * Each file of the view is hashed after the plugin has run:
+ * * new outputs of the plugin are passed on only if they changed since the last build
+ * * unmodified files are passed on (and therefore rebuilt) only if the plugin changed them differently than during the last build,
+ *   e.g. because `previous` and `next` links of a collection changed
+ *
+ * @private
+ * @param {Function} plugin - The plugin to wrap.
+ * @param {Function} getFiltered - Returns the hash of files held back by the matching `filter`.
+ * @param {Function} isIncremental - Returns whether the current build is incremental, full builds pass on all outputs.
+ * @param {Object} memo - The hashes of the last build, which are kept across builds.
+ * @param {Object} log - The log of `aggregate`.
+ * @returns {Function} - Returns the wrapped plugin.
+ */
+const aggregatePlugin = (plugin, getFiltered, isIncremental, memo, log) => (files, metalsmith, done) => {
+  const name = plugin.name || 'plugin'
+  const filteredFiles = getFiltered()
+  const filteredPaths = Object.keys(filteredFiles)
+  const isIncrementalBuild = isIncremental()
+  const view = { ...files }
+
+  for (let i = 0, l = filteredPaths.length; i < l; i++) {
+    // including non-enumerable props, which keeps the source of each file
+    view[filteredPaths[i]] = clone(filteredFiles[filteredPaths[i]], true, Infinity, undefined, true)
+  }
+
+  const inputPaths = Object.keys(view)
+
+  runPlugin(plugin, view, metalsmith, (error) => {
+    if (error) {
+      done(error)
+      return
+    }
+
+    const viewPaths = Object.keys(view)
+    const filesPaths = Object.keys(files)
+    const references = new Map()
+    const hashes = {}
+    let outputsCount = 0
+    let affectedCount = 0
+
+    // forget files removed by the plugin
+    for (let i = 0, l = filesPaths.length; i < l; i++) {
+      if (!(filesPaths[i] in view)) {
+        // eslint-disable-next-line no-param-reassign
+        delete files[filesPaths[i]]
+      }
+    }
+
+    for (let i = 0, l = viewPaths.length; i < l; i++) {
+      references.set(view[viewPaths[i]], viewPaths[i])
+    }
+
+    for (let i = 0, l = viewPaths.length; i < l; i++) {
+      const viewPath = viewPaths[i]
+      const isKnown = viewPath in memo
+
+      hashes[viewPath] = hashFile(view[viewPath], references)
+
+      if (viewPath in filteredFiles) {
+        // without a memo, e.g. after resuming, unmodified files are considered as unaffected
+        if (isKnown && memo[viewPath] !== hashes[viewPath]) {
+          // eslint-disable-next-line no-param-reassign
+          files[viewPath] = view[viewPath]
+          // eslint-disable-next-line no-param-reassign
+          delete filteredFiles[viewPath]
+          affectedCount += 1
+
+          log.debug(`${chalk.yellow(viewPath)} affected by ${chalk.blue(name)}`)
+        }
+      } else if (viewPath in files) {
+        // eslint-disable-next-line no-param-reassign
+        files[viewPath] = view[viewPath]
+      } else if (!isIncrementalBuild || !isKnown || memo[viewPath] !== hashes[viewPath]) {
+        // eslint-disable-next-line no-param-reassign
+        files[viewPath] = view[viewPath]
+        outputsCount += 1
+      }
+    }
+
+    // remember the current build only
+    const memoPaths = Object.keys(memo)
+
+    for (let i = 0, l = memoPaths.length; i < l; i++) {
+      // eslint-disable-next-line no-param-reassign
+      delete memo[memoPaths[i]]
+    }
+
+    Object.assign(memo, hashes)
+
+    log.info(`${chalk.blue(name)} ${inputPaths.length} members, ${outputsCount} outputs changed, ${affectedCount} unmodified files affected`)
+
+    done()
+  })
+}
+
+export default aggregatePlugin
@@ -0,0 +1,29 @@
+/**
+ * Collects the raw dependencies of a file by a concrete dependency resolver.
+ *
+ * @private
+ * @param {RegExp|DependencyResolver} resolver - A concrete dependency resolver.
+ * @param {Object} file - The file to scan.
+ * @param {string} baseDir - The supplied `baseDir` by `options.baseDir`.
+ * @param {ResolveContext} context - The context passed to resolver callbacks.
+ * @returns {Promise.<string[]>} - Resolves with all dependencies found.
+ */
+const collectDependencies = (resolver, file, baseDir, context) => {
+  if (typeof resolver === 'function') {
+    return Promise.resolve(resolver(file, baseDir, context)).then(dependencies => dependencies || [])
+  }
+
+  const dependencies = []
+  let match
+
+  // eslint-disable-next-line no-param-reassign
+  resolver.lastIndex = 0
+
+  while ((match = resolver.exec(file.contents)) !== null) {
+    dependencies.push(match[1])
+  }
+
+  return Promise.resolve(dependencies)
+}
+
+export default collectDependencies
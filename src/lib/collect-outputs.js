@@ -0,0 +1,26 @@
+/**
+ * Collects the outputs of each source by the tags of `tagSource`.
+ *
+ * @private
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @param {string} sourceKey - The key the source path is stored by.
+ * @returns {Object.<string, string[]>} - Returns the paths of all outputs by their source path.
+ */
+const collectOutputs = (files, sourceKey) => {
+  const filesPaths = Object.keys(files)
+  const outputs = {}
+
+  for (let i = 0, l = filesPaths.length; i < l; i++) {
+    const filePath = filesPaths[i]
+    const sourcePath = files[filePath][sourceKey]
+
+    if (typeof sourcePath === 'string') {
+      outputs[sourcePath] = outputs[sourcePath] || []
+      outputs[sourcePath].push(filePath)
+    }
+  }
+
+  return outputs
+}
+
+export default collectOutputs
@@ -0,0 +1,31 @@
+import path from 'path'
+import minimatch from 'minimatch'
+
+/**
+ * Creates a matcher for the watcher, which ignores all paths matching any of the globs.
+ * Globs are matched against paths relative to `source` (watched dirs outside of it start with `../`),
+ * globs without a slash are matched against the basename, e.g. `*.swp`.
+ *
+ * @private
+ * @param {string[]} globs - The globs to ignore.
+ * @param {string} source - The absolute path of `metalsmith.source()`.
+ * @returns {Function} - Returns `true` for each absolute path to ignore.
+ */
+const createIgnore = (globs, source) => (absolutePath) => {
+  const relativePath = path.relative(source, absolutePath)
+
+  // the watched dirs themselves are never ignored
+  if (!relativePath) {
+    return false
+  }
+
+  for (let i = 0, l = globs.length; i < l; i++) {
+    if (minimatch(relativePath, globs[i], { dot: true, matchBase: true })) {
+      return true
+    }
+  }
+
+  return false
+}
+
+export default createIgnore
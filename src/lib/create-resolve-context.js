@@ -0,0 +1,82 @@
+import fs from 'fs'
+import path from 'path'
+
+import collectDependencies from './collect-dependencies'
+import getDepResolver from './get-dep-resolver'
+import resolveCandidates from './resolve-candidates'
+
+/**
+ * Creates the context passed to dependency resolver callbacks, which allows them to read and resolve
+ * files outside of the pipeline (files which are not part of Metalsmith's `files` hash).
+ *
+ * @private
+ * @param {string} filePath - The path of the currently processed file.
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @param {Metalsmith} metalsmith - The current Metalsmith instance.
+ * @param {Object} options - The options of the `filter` plugin.
+ * @returns {ResolveContext} - Returns the context of `filePath`.
+ */
+const createResolveContext = (filePath, files, metalsmith, options) => {
+  const { baseDir, depResolver, pathResolver } = options
+  const source = metalsmith.source()
+
+  // reads the first existing candidate, preferring files of the pipeline
+  const read = (dependency, fromPath) => {
+    const candidates = resolveCandidates(dependency, fromPath, metalsmith, baseDir, pathResolver)
+    const inPipeline = candidates.filter(candidate => candidate in files)[0]
+
+    if (inPipeline) {
+      return Promise.resolve({ path: inPipeline, file: files[inPipeline] })
+    }
+
+    const onDisk = candidates.filter(candidate => fs.existsSync(path.resolve(source, candidate)))[0]
+
+    if (!onDisk) {
+      return Promise.resolve(null)
+    }
+
+    return new Promise((resolve, reject) => {
+      fs.readFile(path.resolve(source, onDisk), (error, contents) => {
+        if (error) {
+          reject(error)
+        } else {
+          resolve({ path: onDisk, file: { contents } })
+        }
+      })
+    })
+  }
+
+  // resolves a dependency and all of it's dependencies, visiting each file only once
+  const resolveDeep = (dependency, fromPath, seen) => read(dependency, fromPath).then((found) => {
+    if (!found || seen[found.path]) {
+      return found ? [found.path] : []
+    }
+
+    // eslint-disable-next-line no-param-reassign
+    seen[found.path] = true
+
+    const resolver = getDepResolver(found.path, depResolver)
+
+    if (!resolver) {
+      return [found.path]
+    }
+
+    const context = createResolveContext(found.path, files, metalsmith, options)
+
+    return collectDependencies(resolver, found.file, baseDir, context)
+      .then(dependencies => Promise.all(dependencies.map(nested => resolveDeep(nested, found.path, seen))))
+      .then(nested => [found.path].concat(...nested))
+  })
+
+  return {
+    metalsmith,
+    source,
+    filePath,
+    readFile: dependency => read(dependency, filePath).then(found => (found ? found.file : null)),
+    resolve: dependency => resolveDeep(dependency, filePath, { [filePath]: true })
+      // relative to the current file, so they can be returned as dependencies as they are
+      .then(paths => paths.map(resolved => path.relative(path.dirname(filePath), resolved))),
+  }
+}
+
+export default createResolveContext
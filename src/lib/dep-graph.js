@@ -1,89 +1,341 @@
-import path from 'path'
 import chalk from 'chalk'
 
 import isInDir from './is-in-dir'
 import getDepResolver from './get-dep-resolver'
-import log from './log'
+import resolveCandidates from './resolve-candidates'
+import collectDependencies from './collect-dependencies'
+import createResolveContext from './create-resolve-context'
+import mapLimit from './map-limit'
+import hash from './hash'
 
 /**
- * Traverses all `files` of metalsmith and scans them for dependency syntax.
- * If a modified file is annotated as dependency, then this file is considered as modified too
- * and will be added to the `modifiedFiles` hash.
+ * Flattens a list of candidate lists.
  *
  * @private
+ * @param {Array.<string[]>} groups - A list of candidate lists.
+ * @returns {string[]} - Returns all candidates.
+ */
+const flatten = groups => [].concat(...groups)
+
+/**
+ * Scans a file's contents for dependencies and resolves each of them to it's exact candidate paths.
+ *
+ * @private
+ * @param {string} filePath - The path of the file.
  * @param {Object} files - A hash of files from Metalsmith.
- * @param {Object} modifiedFiles - A hash of modified files paths.
- * @param {Array} modifiedDirs - A hash of modified directories.
  * @param {Metalsmith} metalsmith - The current Metalsmith instance.
- * @param {string} baseDir - The base directory to which relative paths are being resolved.
- * @param {RegExp|DependencyResolver|DependencyResolverMap} depResolver - A RegExp pattern or callback to resolve dependencies.
+ * @param {Object} options - The options of the `filter` plugin.
+ * @returns {Promise.<Array.<string[]>>} - Resolves with a list of candidate paths for each dependency.
  */
-const depGraph = (files, modifiedFiles, modifiedDirs, metalsmith, baseDir, depResolver) => {
-  const paths = Object.keys(files)
+const scan = (filePath, files, metalsmith, options) => {
+  const { baseDir, depResolver, pathResolver } = options
+  const resolver = getDepResolver(filePath, depResolver)
 
-  for (let i = 0, l = paths.length; i < l; i++) {
-    const filePath = paths[i]
-    let modifiedFilesList
+  if (!resolver) {
+    return Promise.resolve([])
+  }
+
+  const context = createResolveContext(filePath, files, metalsmith, options)
+
+  return collectDependencies(resolver, files[filePath], baseDir, context)
+    .then(dependencies => dependencies.map(dependency => resolveCandidates(dependency, filePath, metalsmith, baseDir, pathResolver)))
+}
+
+/**
+ * Removes all forward and reverse edges of a file.
+ *
+ * @private
+ * @param {DepGraph} graph - The dependency graph.
+ * @param {string} filePath - The path of the file.
+ */
+const unlink = (graph, filePath) => {
+  const dependencies = flatten(graph.dependencies[filePath] || [])
+
+  for (let i = 0, l = dependencies.length; i < l; i++) {
+    const dependency = dependencies[i]
+    const dependents = graph.dependents[dependency]
+
+    if (dependents) {
+      delete dependents[filePath]
+
+      if (!Object.keys(dependents).length) {
+        // eslint-disable-next-line no-param-reassign
+        delete graph.dependents[dependency]
+      }
+    }
+  }
+
+  /* eslint-disable no-param-reassign */
+  delete graph.dependencies[filePath]
+  delete graph.hashes[filePath]
+  /* eslint-enable no-param-reassign */
+}
+
+/**
+ * Adds forward and reverse edges of a file.
+ *
+ * @private
+ * @param {DepGraph} graph - The dependency graph.
+ * @param {string} filePath - The path of the file.
+ * @param {Array.<string[]>} groups - A list of candidate paths for each dependency of the file.
+ */
+const link = (graph, filePath, groups) => {
+  const dependencies = flatten(groups)
 
+  // eslint-disable-next-line no-param-reassign
+  graph.dependencies[filePath] = groups
+
+  for (let i = 0, l = dependencies.length; i < l; i++) {
+    const dependency = dependencies[i]
+
+    // eslint-disable-next-line no-param-reassign
+    graph.dependents[dependency] = graph.dependents[dependency] || {}
     // eslint-disable-next-line no-param-reassign
-    depResolver = getDepResolver(filePath, depResolver)
-
-    // no need to check files without regex
-    // no need to check modified files / dirs
-    if (!depResolver || modifiedFiles[filePath] || isInDir(filePath, modifiedDirs)) {
-      paths.splice(i, 1)
-      l--
-      i--
-      continue
+    graph.dependents[dependency][filePath] = true
+  }
+}
+
+/**
+ * Checks whether a file depends on a modified file outside of the pipeline.
+ * Such files are never scanned themselves, so their nested dependencies, e.g. found by `context.resolve`,
+ * are only up to date if all their dependents are scanned again.
+ *
+ * @private
+ * @param {DepGraph} graph - The dependency graph.
+ * @param {string} filePath - The path of the file.
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @param {Object} modifiedFiles - A hash of modified files paths.
+ * @param {Array} modifiedDirs - A hash of modified directories.
+ * @returns {boolean} - Returns `true` if any dependency outside of the pipeline was modified, else `false`.
+ */
+const hasModifiedExternals = (graph, filePath, files, modifiedFiles, modifiedDirs) => {
+  const dependencies = flatten(graph.dependencies[filePath] || [])
+
+  for (let i = 0, l = dependencies.length; i < l; i++) {
+    const dependency = dependencies[i]
+
+    if (!(dependency in files) && (modifiedFiles[dependency] || isInDir(dependency, modifiedDirs))) {
+      return true
     }
+  }
+
+  return false
+}
+
+/**
+ * Finds all circular dependencies between files.
+ *
+ * @private
+ * @param {DepGraph} graph - The dependency graph.
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @returns {Object.<string, string[]>} - Returns a hash of cycles, each with it's full path.
+ */
+const findCycles = (graph, files) => {
+  const visited = {}
+  const stack = []
+  const cycles = {}
+
+  const visit = (filePath) => {
+    const dependencies = flatten(graph.dependencies[filePath] || [])
+
+    visited[filePath] = true
+    stack.push(filePath)
 
-    const file = files[filePath]
-    let match
-    let dependencies = []
+    for (let i = 0, l = dependencies.length; i < l; i++) {
+      const dependencyFile = dependencies[i]
 
-    // collect matched dependencies
-    if (typeof depResolver === 'function') {
-      dependencies = depResolver(file, baseDir)
-    } else {
-      while ((match = depResolver.exec(file.contents)) !== null) {
-        dependencies.push(match[1])
+      if (dependencyFile in files) {
+        const index = stack.indexOf(dependencyFile)
+
+        if (index > -1) {
+          const cycle = stack.slice(index)
+          const start = cycle.indexOf(cycle.slice().sort()[0])
+          // rotate to a stable start, so each cycle is only reported once
+          const rotated = cycle.slice(start).concat(cycle.slice(0, start))
+
+          cycles[rotated.join(' -> ')] = rotated.concat(rotated[0])
+        } else if (!visited[dependencyFile]) {
+          visit(dependencyFile)
+        }
       }
     }
 
-    for (let j = 0, k = dependencies.length; j < k; j++) {
-      let dependency = dependencies[j]
+    stack.pop()
+  }
+
+  const graphPaths = Object.keys(graph.dependencies)
+
+  for (let i = 0, l = graphPaths.length; i < l; i++) {
+    if (!visited[graphPaths[i]]) {
+      visit(graphPaths[i])
+    }
+  }
+
+  return cycles
+}
+
+/**
+ * Reports all circular dependencies, which weren't reported before.
+ *
+ * @private
+ * @param {DepGraph} graph - The dependency graph.
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @param {Object} log - The log of dependencies.
+ */
+const reportCycles = (graph, files, log) => {
+  const cycles = findCycles(graph, files)
+  const cyclesKeys = Object.keys(cycles)
+
+  for (let i = 0, l = cyclesKeys.length; i < l; i++) {
+    const cycleKey = cyclesKeys[i]
+
+    if (!graph.cycles[cycleKey]) {
+      log.warn(`${chalk.red('circular dependency')} ${cycles[cycleKey].map(cyclePath => chalk.yellow(cyclePath)).join(' -> ')}`)
+    }
+  }
+
+  // eslint-disable-next-line no-param-reassign
+  graph.cycles = cycles
+}
+
+/**
+ * Walks all modified files transitively along their reverse edges and marks each dependent file as modified.
+ *
+ * @private
+ * @param {DepGraph} graph - The dependency graph.
+ * @param {Object} modifiedFiles - A hash of modified files paths.
+ * @param {Array} modifiedDirs - A hash of modified directories.
+ * @param {Object.<string, Object>} reasons - A hash to record the dependency each dependent file was invalidated by.
+ * @param {Object} log - The log of dependencies.
+ */
+const invalidate = (graph, modifiedFiles, modifiedDirs, reasons, log) => {
+  const queue = Object.keys(modifiedFiles)
+  const dependencies = Object.keys(graph.dependents)
 
-      // absolute to optional baseDir
-      if (baseDir && dependency.charAt(0) === path.sep) {
-        dependency = path.join(baseDir, dependency)
-        dependency = path.relative(metalsmith.source(), dependency)
-      } else { // relative include/import/require whatever
-        dependency = path.join(path.dirname(filePath), dependency)
+  // dependencies inside modified directories
+  if (modifiedDirs.length) {
+    for (let i = 0, l = dependencies.length; i < l; i++) {
+      if (isInDir(dependencies[i], modifiedDirs)) {
+        queue.push(dependencies[i])
       }
+    }
+  }
+
+  // walk reverse edges transitively, visited files are never queued twice
+  for (let i = 0; i < queue.length; i++) {
+    const modifiedPath = queue[i]
+    const dependents = Object.keys(graph.dependents[modifiedPath] || {})
 
-      if (modifiedFiles[dependency]
-        // make sure to check dependencies who omit file's extension
-        || isInDir(dependency, modifiedFilesList || (modifiedFilesList = Object.keys(modifiedFiles)))
-        || isInDir(dependency, modifiedDirs)) {
+    for (let j = 0, k = dependents.length; j < k; j++) {
+      const filePath = dependents[j]
+
+      if (!modifiedFiles[filePath]) {
         // yes this is changed by reference
         // eslint-disable-next-line no-param-reassign
         modifiedFiles[filePath] = true
+        // eslint-disable-next-line no-param-reassign
+        reasons[filePath] = { reason: 'dependency', dependency: modifiedPath }
+        queue.push(filePath)
 
-        // add file path to modified files list
-        if (modifiedFilesList) {
-          modifiedFilesList.push(filePath)
-        }
+        log.debug(`${chalk.yellow(filePath)} depends on ${chalk.blue(modifiedPath)}`)
+      }
+    }
+  }
+}
+
+/**
+ * Updates the persistent dependency graph and invalidates dependent files.
+ * Only new files, files whose contents changed and files depending on modified files outside of the pipeline
+ * are scanned for dependency syntax (by at most `options.concurrency` resolvers at once),
+ * afterwards all modified files are walked transitively along their reverse edges,
+ * which means each file depending on a modified file is considered as modified too
+ * and will be added to the `modifiedFiles` hash.
+ *
+ * @private
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @param {Object} modifiedFiles - A hash of modified files paths.
+ * @param {Array} modifiedDirs - A hash of modified directories.
+ * @param {Metalsmith} metalsmith - The current Metalsmith instance.
+ * @param {Object} options - The options of the `filter` plugin (`baseDir`, `depResolver`, `pathResolver` and `concurrency`).
+ * @param {DepGraph} graph - The dependency graph kept across builds.
+ * @param {Object.<string, Object>} reasons - A hash to record the dependency each dependent file was invalidated by.
+ * @param {Object} log - The log of dependencies.
+ * @returns {Promise} - Resolves as soon as `modifiedFiles` is updated.
+ */
+const depGraph = (files, modifiedFiles, modifiedDirs, metalsmith, options, graph, reasons, log) => {
+  const paths = Object.keys(files)
+  const graphPaths = Object.keys(graph.hashes)
+  const scanned = []
+  const hashes = {}
+  let isChanged = false
 
-        // IMPORTANT: if matched -> reset loop (cause prior items could have included matched item)
-        paths.splice(i, 1)
-        l--
-        i = 0
+  // eslint-disable-next-line no-param-reassign
+  graph.source = metalsmith.source()
 
-        log(`${chalk.yellow(filePath)} depends on ${chalk.blue(dependency)}`)
-        break
-      }
+  // forget removed files
+  for (let i = 0, l = graphPaths.length; i < l; i++) {
+    const filePath = graphPaths[i]
+
+    if (!(filePath in files)) {
+      unlink(graph, filePath)
+      isChanged = true
+    }
+  }
+
+  // rescan new or changed files and files depending on modified files outside of the pipeline only
+  for (let i = 0, l = paths.length; i < l; i++) {
+    const filePath = paths[i]
+
+    hashes[filePath] = hash(files[filePath].contents)
+
+    if (graph.hashes[filePath] !== hashes[filePath]
+      || hasModifiedExternals(graph, filePath, files, modifiedFiles, modifiedDirs)) {
+      scanned.push(filePath)
     }
   }
+
+  return mapLimit(scanned, options.concurrency, filePath => scan(filePath, files, metalsmith, options))
+    .then((results) => {
+      for (let i = 0, l = scanned.length; i < l; i++) {
+        const filePath = scanned[i]
+
+        unlink(graph, filePath)
+        link(graph, filePath, results[i])
+        // eslint-disable-next-line no-param-reassign
+        graph.hashes[filePath] = hashes[filePath]
+        isChanged = true
+      }
+
+      if (isChanged) {
+        reportCycles(graph, files, log)
+      }
+
+      invalidate(graph, modifiedFiles, modifiedDirs, reasons, log)
+    })
 }
 
 export default depGraph
+
+/**
+ * The context passed to dependency resolver callbacks.
+ *
+ * @private
+ * @typedef {Object} ResolveContext
+ * @property {Metalsmith} metalsmith - The current Metalsmith instance.
+ * @property {string} source - The source directory of Metalsmith.
+ * @property {string} filePath - The path of the currently processed file.
+ * @property {Function} readFile - Reads the file a dependency refers to, even outside of the pipeline.
+ * @property {Function} resolve - Resolves a dependency and all of it's nested dependencies.
+ */
+
+/**
+ * A dependency graph kept across builds.
+ *
+ * @private
+ * @typedef {Object} DepGraph
+ * @property {Object.<string, Array.<string[]>>} dependencies - Maps each file to the candidate paths of each dependency (forward edges).
+ * @property {Object.<string, Object>} dependents - Maps each candidate path to a hash of depending files (reverse edges).
+ * @property {Object.<string, string>} hashes - Maps each scanned file to the hash of it's contents.
+ * @property {Object.<string, string[]>} cycles - All circular dependencies found during the last scan.
+ * @property {string} [source] - The source directory of the last scan, which candidate paths are relative to.
+ */
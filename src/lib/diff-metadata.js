@@ -0,0 +1,39 @@
+import hash from './hash'
+
+/**
+ * Hashes each top-level key of the metadata and compares them with the hashes of the previous build.
+ *
+ * @private
+ * @param {Object} metadata - The global metadata of Metalsmith.
+ * @param {Object.<string, string>} previousHashes - The hashes of the previous build.
+ * @returns {Object} - Returns the new `hashes` and all `changedKeys`, which were added, changed or removed.
+ */
+const diffMetadata = (metadata, previousHashes) => {
+  const keys = Object.keys(metadata)
+  const previousKeys = Object.keys(previousHashes)
+  const hashes = {}
+  const changedKeys = []
+
+  for (let i = 0, l = keys.length; i < l; i++) {
+    const key = keys[i]
+
+    hashes[key] = hash(metadata[key])
+
+    if (previousHashes[key] !== hashes[key]) {
+      changedKeys.push(key)
+    }
+  }
+
+  for (let i = 0, l = previousKeys.length; i < l; i++) {
+    if (!(previousKeys[i] in hashes)) {
+      changedKeys.push(previousKeys[i])
+    }
+  }
+
+  return {
+    hashes,
+    changedKeys,
+  }
+}
+
+export default diffMetadata
@@ -0,0 +1,43 @@
+import isInDir from './is-in-dir'
+
+/**
+ * Explains why a file went through the pipeline.
+ * A file invalidated by a dependency is explained by the whole chain of dependencies and the cause of the last one.
+ *
+ * @private
+ * @param {string} filePath - The path of the file.
+ * @param {Object.<string, Object>} reasons - The reasons recorded for modified files during the build.
+ * @param {string[]} modifiedDirs - The modified directories of the build.
+ * @param {boolean} isIncremental - Whether the build is incremental, all files of a full build are explained by `full`.
+ * @returns {Object} - Returns the `reason` and it's details.
+ */
+const explainFile = (filePath, reasons, modifiedDirs, isIncremental) => {
+  if (!isIncremental) {
+    return { reason: 'full' }
+  }
+
+  const chain = [filePath]
+  let reason = reasons[filePath]
+
+  // cycles are cut at the first file visited twice
+  while (reason && reason.reason === 'dependency' && chain.indexOf(reason.dependency) === -1) {
+    chain.push(reason.dependency)
+    reason = reasons[reason.dependency]
+  }
+
+  const causePath = chain[chain.length - 1]
+  const dir = modifiedDirs.filter(modifiedDir => isInDir(causePath, [modifiedDir]))[0]
+  let cause = reason && reason.reason !== 'dependency' ? reason : { reason: 'changed' }
+
+  if (!reasons[causePath] && dir) {
+    cause = { reason: 'dir', dir }
+  }
+
+  if (chain.length > 1) {
+    return { reason: 'dependency', chain, cause }
+  }
+
+  return cause
+}
+
+export default explainFile
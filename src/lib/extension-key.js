@@ -0,0 +1,22 @@
+import path from 'path'
+
+/**
+ * Returns the key of a file's extension, used to look up resolvers by extension.
+ *
+ * @private
+ * @param {string} file - The path of the file.
+ * @returns {string} - Returns the extension without dot, with `jade` normalized to `pug`.
+ */
+const extensionKey = (file) => {
+  const extension = path.extname(file)
+
+  switch (extension) {
+    case '.jade':
+      return 'pug'
+
+    default:
+      return extension.slice(1)
+  }
+}
+
+export default extensionKey
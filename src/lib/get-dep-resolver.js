@@ -1,8 +1,10 @@
-import path from 'path'
 import isRegex from 'is-regex'
 
+import extensionKey from './extension-key'
+import resolvers from './resolvers'
+
 const depResolverDefault = {
-  pug: /(?:include(?::[^(\s]+(?:\(.*\))?)*|extends)\s+([^\s]+)/mg,
+  pug: resolvers.pug,
 }
 
 /**
@@ -11,6 +13,14 @@ const depResolverDefault = {
  * **Support File Extensions (by default)**
  * * .pug, .jade
  *
+ * **Built-in File Extensions (opt-in by `true`, opt-out by `false`)**
+ * * .hbs, .handlebars
+ * * .njk, .nunjucks, .twig
+ * * .liquid
+ * * .ejs
+ * * .scss, .sass, .less
+ * * .md, .markdown
+ *
  * @private
  * @param {string} file - The path of the current file.
  * @param {RegExp|DependencyResolver|DependencyResolverMap} [depResolver] - A custom dependency resolver to use.
@@ -26,22 +36,20 @@ const getDepResolver = (file, depResolver) => {
     return depResolver
   }
 
-  const extension = path.extname(file)
-  let key
-
-  switch (extension) {
-    case '.jade':
-      key = 'pug'
-      break
-
-    default:
-      key = extension.slice(1)
-  }
+  const key = extensionKey(file)
 
   if (type === 'object') {
     let depResolverProp = depResolver[key]
     const propType = typeof depResolverProp
 
+    if (depResolverProp === true) {
+      return resolvers[key]
+    }
+
+    if (depResolverProp === false) {
+      return undefined
+    }
+
     if (propType === 'function'
       // eslint-disable-next-line no-param-reassign
       || (propType === 'string' && (depResolver[key] = (depResolverProp = new RegExp(depResolverProp, 'gm'))))
@@ -0,0 +1,36 @@
+import path from 'path'
+
+import extensionKey from './extension-key'
+import pathStrategies from './path-strategies'
+
+/**
+ * Finds the approbiate path resolution strategy for a given file extension.
+ * Custom strategy objects are merged into the built-in strategy of the same extension.
+ * Files without a built-in strategy resolve dependencies who omit their own extension.
+ *
+ * @private
+ * @param {string} file - The path of the current file.
+ * @param {PathResolverMap} [pathResolver] - Custom strategies keyed by file extension.
+ * @returns {PathStrategy|PathResolver} - Returns a concrete path resolution strategy.
+ */
+const getPathStrategy = (file, pathResolver) => {
+  const key = extensionKey(file)
+  const extension = path.extname(file)
+  const strategy = pathStrategies[key] || { extensions: extension ? [extension] : [] }
+  const custom = pathResolver && pathResolver[key]
+
+  if (typeof custom === 'function') {
+    return custom
+  }
+
+  if (custom && typeof custom === 'object') {
+    return {
+      ...strategy,
+      ...custom,
+    }
+  }
+
+  return strategy
+}
+
+export default getPathStrategy
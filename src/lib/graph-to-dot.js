@@ -0,0 +1,28 @@
+/**
+ * Serializes inspected graph entries as Graphviz DOT.
+ *
+ * @private
+ * @param {Object.<string, GraphEntry>} entries - All entries returned by `inspectGraph`.
+ * @returns {string} - Returns the DOT source of the graph.
+ */
+const graphToDot = (entries) => {
+  const filesPaths = Object.keys(entries).sort()
+  const lines = ['digraph dependencies {']
+
+  for (let i = 0, l = filesPaths.length; i < l; i++) {
+    const filePath = filesPaths[i]
+    const { dependencies } = entries[filePath]
+
+    lines.push(`  ${JSON.stringify(filePath)};`)
+
+    for (let j = 0, k = dependencies.length; j < k; j++) {
+      lines.push(`  ${JSON.stringify(filePath)} -> ${JSON.stringify(dependencies[j])};`)
+    }
+  }
+
+  lines.push('}', '')
+
+  return lines.join('\n')
+}
+
+export default graphToDot
@@ -0,0 +1,28 @@
+import hash from './hash'
+
+// stats change on every touch, even if nothing else did
+const ignoredProps = ['contents', 'stats']
+
+/**
+ * Hashes the contents and the front-matter of a metalsmith file.
+ *
+ * @private
+ * @param {Object} file - A metalsmith file.
+ * @returns {string} - Returns the hash of the file.
+ */
+const hashFile = (file) => {
+  const props = {}
+  const keys = Object.keys(file)
+
+  for (let i = 0, l = keys.length; i < l; i++) {
+    const key = keys[i]
+
+    if (ignoredProps.indexOf(key) === -1) {
+      props[key] = file[key]
+    }
+  }
+
+  return hash(file.contents, props)
+}
+
+export default hashFile
@@ -0,0 +1,79 @@
+import crypto from 'crypto'
+import isRegex from 'is-regex'
+
+/**
+ * Feeds a value into a hash in a stable manner, which means object keys are sorted,
+ * functions and RegExps are represented by their source and circular references are skipped.
+ *
+ * @private
+ * @param {Object} hasher - The hash to update.
+ * @param {*} value - Any value to digest.
+ * @param {Array} seen - A stack of already visited objects.
+ */
+const update = (hasher, value, seen) => {
+  if (Buffer.isBuffer(value)) {
+    hasher.update(`buffer:${value.length}:`)
+    hasher.update(value)
+    return
+  }
+
+  if (typeof value === 'function' || isRegex(value)) {
+    hasher.update(`${typeof value}:${value.toString()}`)
+    return
+  }
+
+  if (value instanceof Date) {
+    hasher.update(`date:${value.toISOString()}`)
+    return
+  }
+
+  if (!value || typeof value !== 'object') {
+    hasher.update(`${typeof value}:${String(value)}`)
+    return
+  }
+
+  if (seen.indexOf(value) > -1) {
+    hasher.update('circular')
+    return
+  }
+
+  seen.push(value)
+
+  if (Array.isArray(value)) {
+    hasher.update(`array:${value.length}:`)
+
+    for (let i = 0, l = value.length; i < l; i++) {
+      update(hasher, value[i], seen)
+    }
+  } else {
+    const keys = Object.keys(value).sort()
+
+    hasher.update(`object:${keys.length}:`)
+
+    for (let i = 0, l = keys.length; i < l; i++) {
+      const key = keys[i]
+
+      hasher.update(`${JSON.stringify(key)}:`)
+      update(hasher, value[key], seen)
+    }
+  }
+
+  seen.pop()
+}
+
+/**
+ * Creates a stable hash of all supplied values.
+ *
+ * @private
+ * @param {...*} values - Any values to hash.
+ * @returns {string} - Returns the hex digest of all values.
+ */
+const hash = (...values) => {
+  const hasher = crypto.createHash('sha1')
+
+  update(hasher, values, [])
+
+  return hasher.digest('hex')
+}
+
+export default hash
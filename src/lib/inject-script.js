@@ -0,0 +1,34 @@
+import path from 'path'
+
+const htmlExtensions = ['.html', '.htm']
+
+/**
+ * Injects a script tag into all HTML files, right before `</body>` or else at the end.
+ * Files which already contain the script tag are left untouched.
+ *
+ * @private
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @param {string} script - The script tag to inject.
+ */
+const injectScript = (files, script) => {
+  const filesPaths = Object.keys(files)
+
+  for (let i = 0, l = filesPaths.length; i < l; i++) {
+    const filePath = filesPaths[i]
+    const file = files[filePath]
+
+    if (htmlExtensions.indexOf(path.extname(filePath).toLowerCase()) === -1) continue
+
+    const contents = file.contents.toString()
+
+    if (contents.indexOf(script) > -1) continue
+
+    const index = contents.search(/<\/body>/i)
+
+    file.contents = Buffer.from(index > -1
+      ? `${contents.slice(0, index)}${script}${contents.slice(index)}`
+      : `${contents}${script}`)
+  }
+}
+
+export default injectScript
@@ -0,0 +1,93 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Checks whether a candidate exists, either as a scanned file of the pipeline or as a file on disk.
+ *
+ * @private
+ * @param {DepGraph} graph - The dependency graph.
+ * @param {string} candidate - A candidate path of a dependency (relative to the source directory).
+ * @returns {boolean} - Returns `true` if the candidate exists, else `false`.
+ */
+const exists = (graph, candidate) => {
+  if (candidate in graph.hashes) {
+    return true
+  }
+
+  try {
+    return !!graph.source && fs.statSync(path.resolve(graph.source, candidate)).isFile()
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Merges a list of values into a sorted list without duplicates.
+ *
+ * @private
+ * @param {string[]} list - The list to merge into.
+ * @param {string[]} values - The values to merge.
+ * @returns {string[]} - Returns the merged list.
+ */
+const merge = (list, values) => list.concat(values.filter(value => list.indexOf(value) === -1)).sort()
+
+/**
+ * Resolves the dependencies and dependents of all files known by the supplied graphs (or of one single file).
+ * Besides the scanned files, entries are created for their resolved dependencies, e.g. files outside of the pipeline,
+ * which have dependents only.
+ *
+ * @private
+ * @param {DepGraph[]} graphs - The dependency graphs of all `filter` plugins.
+ * @param {string} [filePath] - The path of a single file to inspect.
+ * @returns {GraphEntry|Object.<string, GraphEntry>} - Returns the entry of `filePath` or a hash of all entries.
+ */
+const inspectGraph = (graphs, filePath) => {
+  const entries = {}
+  const getEntry = file => entries[file] || (entries[file] = { dependencies: [], dependents: [] })
+
+  for (let i = 0, l = graphs.length; i < l; i++) {
+    const { dependencies } = graphs[i]
+    const filesPaths = Object.keys(dependencies)
+
+    for (let j = 0, k = filesPaths.length; j < k; j++) {
+      const file = filesPaths[j]
+      const entry = getEntry(file)
+      // prefer candidates which exist, even outside of the pipeline, else the most likely one
+      const resolved = [].concat(...dependencies[file].map((candidates) => {
+        const existing = candidates.filter(candidate => exists(graphs[i], candidate))
+
+        return existing.length ? existing : candidates.slice(0, 1)
+      }))
+
+      entry.dependencies = merge(entry.dependencies, resolved)
+
+      for (let n = 0, m = resolved.length; n < m; n++) {
+        getEntry(resolved[n])
+      }
+    }
+  }
+
+  // reverse edges are keyed by each candidate, only resolved ones and the inspected file are of interest
+  for (let i = 0, l = graphs.length; i < l; i++) {
+    const { dependents } = graphs[i]
+    const dependenciesPaths = Object.keys(dependents)
+
+    for (let j = 0, k = dependenciesPaths.length; j < k; j++) {
+      const dependency = dependenciesPaths[j]
+
+      if (dependency in entries || dependency === filePath) {
+        const entry = getEntry(dependency)
+
+        entry.dependents = merge(entry.dependents, Object.keys(dependents[dependency]))
+      }
+    }
+  }
+
+  if (filePath) {
+    return entries[filePath] || { dependencies: [], dependents: [] }
+  }
+
+  return entries
+}
+
+export default inspectGraph
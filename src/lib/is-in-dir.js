@@ -1,3 +1,5 @@
+import { sep } from 'path'
+
 /**
  * Checks whether a distinct file path is within an array of directories.
  *
@@ -8,7 +10,9 @@
  */
 const isInDir = (path, dirs) => {
   for (let i = 0, l = dirs.length; i < l; i++) {
-    if (dirs[i].indexOf(path) === 0) {
+    const dir = dirs[i]
+
+    if (path === dir || path.indexOf(`${dir}${sep}`) === 0) {
       return true
     }
   }
@@ -0,0 +1,45 @@
+/**
+ * Renders the browser client of the live-reload server, which hot-swaps changed stylesheets
+ * and reloads the page for any other change.
+ *
+ * @private
+ * @param {string} url - The URL of the live-reload server.
+ * @returns {string} - Returns the client script.
+ */
+const liveReloadClient = url => `(function () {
+  if (!window.EventSource) return
+
+  var source = new EventSource(${JSON.stringify(`${url}/events`)})
+
+  function isStylesheet(path) {
+    return /\\.css$/.test(path)
+  }
+
+  function swapStylesheets(paths) {
+    var links = document.querySelectorAll('link[rel="stylesheet"]')
+
+    for (var i = 0; i < links.length; i++) {
+      var link = links[i]
+      var pathname = link.href.split('?')[0]
+
+      for (var j = 0; j < paths.length; j++) {
+        if (pathname.slice(-paths[j].length - 1) === '/' + paths[j]) {
+          link.href = pathname + '?livereload=' + Date.now()
+        }
+      }
+    }
+  }
+
+  source.onmessage = function (event) {
+    var paths = JSON.parse(event.data).paths
+
+    if (paths.length && paths.every(isStylesheet)) {
+      swapStylesheets(paths)
+    } else {
+      window.location.reload()
+    }
+  }
+})()
+`
+
+export default liveReloadClient
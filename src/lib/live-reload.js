@@ -0,0 +1,81 @@
+import http from 'http'
+
+import liveReloadClient from './live-reload-client'
+
+/**
+ * Starts a live-reload server, which pushes changed output paths to connected browsers by Server-Sent Events.
+ * * `GET /events` - The event stream.
+ * * `GET /livereload.js` - The client script to include in pages.
+ *
+ * @private
+ * @param {Object} options
+ * @param {number} options.port - The port to listen on.
+ * @param {string} options.host - The host to listen on.
+ * @param {Function} onError - Called if the server fails, e.g. because the port is in use.
+ * @returns {Object} - Returns the `url` of the server, `broadcast(paths)` and `close()`.
+ */
+const liveReload = ({ port, host }, onError) => {
+  const url = `http://${host}:${port}`
+  const client = liveReloadClient(url)
+  const clients = []
+
+  const server = http.createServer((request, response) => {
+    const pathname = request.url.split('?')[0]
+
+    if (pathname === '/livereload.js') {
+      response.writeHead(200, {
+        'Content-Type': 'application/javascript',
+        'Access-Control-Allow-Origin': '*',
+      })
+      response.end(client)
+      return
+    }
+
+    if (pathname === '/events') {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+      })
+      response.write('\n')
+
+      clients.push(response)
+      request.on('close', () => {
+        const index = clients.indexOf(response)
+
+        if (index > -1) {
+          clients.splice(index, 1)
+        }
+      })
+      return
+    }
+
+    response.writeHead(404)
+    response.end()
+  })
+
+  server.on('error', onError)
+  server.listen(port, host)
+
+  return {
+    url,
+    broadcast: (paths) => {
+      const message = `data: ${JSON.stringify({ paths })}\n\n`
+
+      for (let i = 0, l = clients.length; i < l; i++) {
+        clients[i].write(message)
+      }
+    },
+    close: () => {
+      for (let i = 0, l = clients.length; i < l; i++) {
+        clients[i].end()
+      }
+
+      clients.length = 0
+      server.close()
+    },
+  }
+}
+
+export default liveReload
@@ -0,0 +1,34 @@
+import fs from 'fs'
+
+/**
+ * Revives buffers serialized by `saveStore`.
+ *
+ * @private
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function revive(key, value) {
+  if (value && value.type === 'Buffer' && typeof value.base64 === 'string') {
+    return Buffer.from(value.base64, 'base64')
+  }
+
+  return value
+}
+
+/**
+ * Loads a persisted store from disk.
+ *
+ * @private
+ * @param {string} storePath - The path of the store file.
+ * @returns {Object|null} - Returns the store or `null` if it doesn't exist or is corrupted.
+ */
+const loadStore = (storePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(storePath, 'utf8'), revive)
+  } catch (error) {
+    return null
+  }
+}
+
+export default loadStore
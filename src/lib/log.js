@@ -1,13 +1,113 @@
 import chalk from 'chalk'
 
+const NAMESPACE = 'metalsmith-incremental'
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent']
+
+/**
+ * Checks whether a namespace is enabled by the `DEBUG` environment variable,
+ * which follows the convention of the `debug` module, e.g. `DEBUG=metalsmith-incremental:deps,-metalsmith-incremental:watch`.
+ *
+ * @private
+ * @param {string} namespace - The namespace of a category, e.g. `metalsmith-incremental:deps`.
+ * @returns {boolean} - Returns `true` if the namespace is enabled, else `false`.
+ */
+const isDebugEnabled = (namespace) => {
+  const patterns = (process.env.DEBUG || '').split(/[\s,]+/)
+  let isEnabled = false
+
+  for (let i = 0, l = patterns.length; i < l; i++) {
+    const pattern = patterns[i]
+    const isSkipped = pattern[0] === '-'
+    const source = (isSkipped ? pattern.slice(1) : pattern).replace(/[|\\{}()[\]^$+?.]/g, '\\$&').replace(/\*/g, '.*?')
+
+    if (source && new RegExp(`^${source}$`).test(namespace)) {
+      // skipped namespaces always win
+      if (isSkipped) {
+        return false
+      }
+
+      isEnabled = true
+    }
+  }
+
+  return isEnabled
+}
+
+/**
+ * Writes a message to the configured logger, or else coloured to the console.
+ * Messages below the configured level are dropped, unless the namespace of their category is enabled by `DEBUG`.
+ * Without a configured level, output to a terminal defaults to `info`, any other output is silent.
+ *
+ * @private
+ * @param {LogSettings} settings - The log settings of the session.
+ * @param {string} level - One of `debug`, `info`, `warn` or `error`.
+ * @param {string} category - The category of the message, e.g. `deps`.
+ * @param {string} message - Any message which should be logged.
+ */
+const write = (settings, level, category, message) => {
+  const namespace = `${NAMESPACE}:${category}`
+  const { logger } = settings
+  const threshold = settings.level || (logger || process.stdout.isTTY ? 'info' : 'silent')
+
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(threshold) && !isDebugEnabled(namespace)) {
+    return
+  }
+
+  if (logger) {
+    logger[level](`[${namespace}] ${chalk.stripColor(message)}`)
+    return
+  }
+
+  console[level === 'debug' ? 'log' : level](`[${chalk.green(NAMESPACE)}] ${message}`)
+}
+
+/**
+ * Creates a log of a category, which has a method for each level - `debug`, `info`, `warn` and `error`.
+ *
+ * @private
+ * @param {string} category - The category of all messages, which is appended to the namespace `metalsmith-incremental:`.
+ * @param {LogSettings} settings - The log settings of the session, which are read on each message.
+ * @returns {Object} - Returns the log of the category.
+ */
+const createLog = (category, settings) => ({
+  debug: message => write(settings, 'debug', category, message),
+  info: message => write(settings, 'info', category, message),
+  warn: message => write(settings, 'warn', category, message),
+  error: message => write(settings, 'error', category, message),
+})
+
 /**
- * Logs coloured output to console.
+ * Configures the logger and the level of all logs of a session.
  *
  * @private
- * @param {string} [message] - Any message which should be logged.
+ * @param {LogSettings} settings - The log settings of the session.
+ * @param {Object} options
+ * @param {Logger} [options.logger] - Any object with the methods `debug`, `info`, `warn` and `error`.
+ * @param {string} [options.logLevel] - One of `debug`, `info`, `warn`, `error` or `silent`.
  */
-const log = (message) => {
-  console.log(`[${chalk.green('metalsmith-incremental')}] ${message}`)
+createLog.configure = (settings, { logger, logLevel }) => {
+  if (logLevel !== undefined && LEVELS.indexOf(logLevel) === -1) {
+    throw new TypeError(`metalsmith-incremental: logLevel must be one of ${LEVELS.join(', ')}`)
+  }
+
+  if (logger) {
+    // eslint-disable-next-line no-param-reassign
+    settings.logger = logger
+  }
+
+  if (logLevel) {
+    // eslint-disable-next-line no-param-reassign
+    settings.level = logLevel
+  }
 }
 
-export default log
+export default createLog
+
+/**
+ * The log settings of a session.
+ *
+ * @private
+ * @typedef {Object} LogSettings
+ * @property {Logger|null} logger - The configured logger, else messages are written to the console.
+ * @property {string|null} level - The configured level, else the level depends on the output.
+ */
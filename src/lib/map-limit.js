@@ -0,0 +1,52 @@
+/**
+ * Maps all items by an async callback, while running at most `limit` callbacks at once.
+ *
+ * @private
+ * @param {Array} items - The items to map.
+ * @param {number} limit - The maximum number of pending callbacks.
+ * @param {Function} callback - A callback returning a value or a Promise for each item.
+ * @returns {Promise.<Array>} - Resolves with all mapped values in order of `items`.
+ */
+const mapLimit = (items, limit, callback) => new Promise((resolve, reject) => {
+  const results = new Array(items.length)
+  let next = 0
+  let pending = 0
+  let failed = false
+
+  let run
+
+  const start = (index) => {
+    pending += 1
+
+    Promise.resolve()
+      .then(() => callback(items[index], index))
+      .then((result) => {
+        results[index] = result
+        pending -= 1
+        run()
+      }, (error) => {
+        failed = true
+        reject(error)
+      })
+  }
+
+  run = () => {
+    if (failed) {
+      return
+    }
+
+    if (next === items.length && !pending) {
+      resolve(results)
+      return
+    }
+
+    while (pending < Math.max(1, limit) && next < items.length) {
+      start(next)
+      next += 1
+    }
+  }
+
+  run()
+})
+
+export default mapLimit
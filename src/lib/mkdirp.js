@@ -0,0 +1,19 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Creates a directory and all of it's missing parents.
+ *
+ * @private
+ * @param {string} dir - The directory to create.
+ */
+const mkdirp = (dir) => {
+  if (fs.existsSync(dir)) {
+    return
+  }
+
+  mkdirp(path.dirname(dir))
+  fs.mkdirSync(dir)
+}
+
+export default mkdirp
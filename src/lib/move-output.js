@@ -0,0 +1,40 @@
+import path from 'path'
+
+/**
+ * Strips the extension of a path.
+ *
+ * @private
+ * @param {string} filePath
+ * @returns {string}
+ */
+const stripExtension = filePath => filePath.slice(0, filePath.length - path.extname(filePath).length)
+
+/**
+ * Resolves the new path of an output, whose source moved.
+ * Outputs named after their source (`about.md` -> `about.html` or `about/index.html`) move along,
+ * any other output is resolved by `fallback`.
+ *
+ * @private
+ * @param {string} outputPath - The path of the output.
+ * @param {string} fromPath - The old path of the source.
+ * @param {string} toPath - The new path of the source.
+ * @param {Function} fallback - Resolves the output path of `toPath` otherwise.
+ * @returns {string} - Returns the new path of the output.
+ */
+const moveOutput = (outputPath, fromPath, toPath, fallback) => {
+  const fromStem = stripExtension(fromPath)
+  const rest = outputPath.slice(fromStem.length)
+
+  if (outputPath === fromPath) {
+    return toPath
+  }
+
+  // the stem has to be followed by an extension or a directory (`about-us.html` isn't an output of `about.md`)
+  if (outputPath.indexOf(fromStem) === 0 && /^[./\\]/.test(rest)) {
+    return `${stripExtension(toPath)}${rest}`
+  }
+
+  return fallback(toPath)
+}
+
+export default moveOutput
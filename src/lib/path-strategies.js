@@ -0,0 +1,29 @@
+const pug = { extensions: ['.pug', '.jade'] }
+const handlebars = { extensions: ['.hbs', '.handlebars'] }
+const nunjucks = { extensions: ['.njk', '.nunjucks', '.html'] }
+const sass = { extensions: ['.scss', '.sass', '.css'], partials: true, index: ['index', '_index'] }
+const markdown = { extensions: ['.md', '.markdown'] }
+
+/**
+ * Built-in path resolution strategies keyed by file extension.
+ *
+ * @private
+ * @type {Object.<string, PathStrategy>}
+ */
+const pathStrategies = {
+  pug,
+  hbs: handlebars,
+  handlebars,
+  njk: nunjucks,
+  nunjucks,
+  twig: { extensions: ['.twig', '.html'] },
+  liquid: { extensions: ['.liquid', '.html'] },
+  ejs: { extensions: ['.ejs'] },
+  scss: sass,
+  sass,
+  less: { extensions: ['.less', '.css'] },
+  md: markdown,
+  markdown,
+}
+
+export default pathStrategies
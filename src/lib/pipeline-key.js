@@ -0,0 +1,38 @@
+import fs from 'fs'
+import path from 'path'
+
+import hash from './hash'
+
+/**
+ * Reads the `package.json` of the project, which pins the versions of all plugins.
+ *
+ * @private
+ * @param {Metalsmith} metalsmith - The current Metalsmith instance.
+ * @returns {Buffer|null} - Returns the contents of `package.json`, or `null` if there is none.
+ */
+const readPackage = (metalsmith) => {
+  try {
+    return fs.readFileSync(path.resolve(metalsmith.directory(), 'package.json'))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Computes a key representing the current pipeline configuration,
+ * which changes as soon as the code of any plugin, the `package.json` of the project
+ * or any `metalsmith-incremental` option (including `cacheKey`) changes.
+ * Options of other plugins are hidden in their closures and therefore not part of the key.
+ *
+ * @private
+ * @param {Metalsmith} metalsmith - The current Metalsmith instance.
+ * @param {Function} getOptions - Returns the options of a `metalsmith-incremental` plugin, else `undefined`.
+ * @returns {string} - Returns the key of the pipeline.
+ */
+const pipelineKey = (metalsmith, getOptions) => {
+  const plugins = metalsmith.plugins.map(plugin => getOptions(plugin) || plugin)
+
+  return hash(metalsmith.source(), metalsmith.destination(), readPackage(metalsmith), plugins)
+}
+
+export default pipelineKey
@@ -0,0 +1,73 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Removes a directory and all of it's parents up to `root`, as long as they are empty.
+ *
+ * @private
+ * @param {string} dir - The directory to remove.
+ * @param {string} root - The directory to stop at, which is never removed.
+ * @param {boolean} dryRun - Only logs what would be removed.
+ * @param {Object} pruned - A hash of paths pruned already by this dry-run.
+ * @param {Object} log - The log of `cache`.
+ */
+const pruneEmptyDirs = (dir, root, dryRun, pruned, log) => {
+  if (dir === root || dir.indexOf(root + path.sep) !== 0 || pruned[dir] || !fs.existsSync(dir)) {
+    return
+  }
+
+  const entries = fs.readdirSync(dir).filter(entry => !pruned[path.join(dir, entry)])
+
+  if (entries.length) {
+    return
+  }
+
+  log.info(`${dryRun ? 'would prune' : 'prune'} ${chalk.yellow(`${path.relative(root, dir)}${path.sep}`)}`)
+
+  if (dryRun) {
+    // eslint-disable-next-line no-param-reassign
+    pruned[dir] = true
+  } else {
+    fs.rmdirSync(dir)
+  }
+
+  pruneEmptyDirs(path.dirname(dir), root, dryRun, pruned, log)
+}
+
+/**
+ * Deletes stale output files from the destination and all directories left empty by them.
+ *
+ * @private
+ * @param {string} destination - The destination directory of Metalsmith.
+ * @param {string[]} outputPaths - The paths of the stale output files (relative to `destination`).
+ * @param {string[]} outputDirs - The paths of removed directories (relative to `destination`).
+ * @param {boolean} dryRun - Only logs what would be deleted.
+ * @param {Object} log - The log of `cache`.
+ */
+const pruneOutputs = (destination, outputPaths, outputDirs, dryRun, log) => {
+  const pruned = {}
+
+  for (let i = 0, l = outputPaths.length; i < l; i++) {
+    const outputPath = path.resolve(destination, outputPaths[i])
+
+    if (outputPath.indexOf(destination + path.sep) !== 0 || !fs.existsSync(outputPath)
+      || !fs.statSync(outputPath).isFile()) continue
+
+    log.info(`${dryRun ? 'would prune' : 'prune'} ${chalk.yellow(outputPaths[i])}`)
+
+    if (dryRun) {
+      pruned[outputPath] = true
+    } else {
+      fs.unlinkSync(outputPath)
+    }
+
+    pruneEmptyDirs(path.dirname(outputPath), destination, dryRun, pruned, log)
+  }
+
+  for (let i = 0, l = outputDirs.length; i < l; i++) {
+    pruneEmptyDirs(path.resolve(destination, outputDirs[i]), destination, dryRun, pruned, log)
+  }
+}
+
+export default pruneOutputs
@@ -0,0 +1,86 @@
+import path from 'path'
+
+import getPathStrategy from './get-path-strategy'
+
+/**
+ * Resolves a dependency to all exact source paths (relative to `metalsmith.source()`) it may refer to.
+ *
+ * * `/foo` is resolved relative to `baseDir`
+ * * `~foo` is resolved relative to `node_modules`
+ * * everything else is resolved relative to the depending file and to each search dir of `strategy.paths`
+ *
+ * Afterwards each of those paths is expanded by the strategy's extensions, underscore-partials and index files.
+ *
+ * @private
+ * @param {string} dependency - The dependency as found by the dependency resolver.
+ * @param {string} filePath - The path of the depending file.
+ * @param {Metalsmith} metalsmith - The current Metalsmith instance.
+ * @param {string} baseDir - The base directory to which absolute paths are being resolved.
+ * @param {PathResolverMap} [pathResolver] - Custom strategies keyed by file extension.
+ * @returns {string[]} - Returns all candidate paths.
+ */
+const resolveCandidates = (dependency, filePath, metalsmith, baseDir, pathResolver) => {
+  const strategy = getPathStrategy(filePath, pathResolver)
+  const source = metalsmith.source()
+  const fromSource = target => path.relative(source, path.resolve(source, target))
+
+  if (typeof strategy === 'function') {
+    return (strategy(dependency, filePath, { metalsmith, baseDir }) || []).map(fromSource)
+  }
+
+  const { extensions = [], partials = false, index = [], paths = [] } = strategy
+  let targets
+
+  if (baseDir && dependency.charAt(0) === path.sep) {
+    // absolute to optional baseDir
+    targets = [path.join(baseDir, dependency)]
+  } else if (dependency.charAt(0) === '~') {
+    // package imports
+    targets = [path.join(metalsmith.directory(), 'node_modules', dependency.slice(1))]
+  } else {
+    // relative include/import/require whatever and search dirs
+    targets = [path.join(path.dirname(filePath), dependency)]
+      .concat(paths.map(dir => path.join(fromSource(dir), dependency)))
+  }
+
+  const candidates = []
+  const add = (candidate) => {
+    const relativeCandidate = fromSource(candidate)
+
+    if (candidates.indexOf(relativeCandidate) === -1) {
+      candidates.push(relativeCandidate)
+    }
+  }
+
+  for (let i = 0, l = targets.length; i < l; i++) {
+    const target = targets[i]
+    const extension = path.extname(target)
+    const names = [target]
+
+    if (extensions.indexOf(extension) === -1) {
+      for (let j = 0, k = extensions.length; j < k; j++) {
+        names.push(`${target}${extensions[j]}`)
+      }
+    }
+
+    for (let j = 0, k = names.length; j < k; j++) {
+      const name = names[j]
+
+      add(name)
+
+      if (partials) {
+        add(path.join(path.dirname(name), `_${path.basename(name)}`))
+      }
+    }
+
+    for (let j = 0, k = index.length; j < k; j++) {
+      for (let n = 0, m = extensions.length; n < m; n++) {
+        add(path.join(target, `${index[j]}${extensions[n]}`))
+      }
+    }
+  }
+
+  return candidates
+}
+
+export default resolveCandidates
@@ -0,0 +1,55 @@
+import minimatch from 'minimatch'
+
+/**
+ * Matches paths against a list of globs, a path must match any glob and none of the negated (`!`) globs.
+ *
+ * @private
+ * @param {string[]} paths - The paths to match.
+ * @param {string[]} globs - A list of globs and negated globs.
+ * @returns {string[]} - Returns all matching paths.
+ */
+const matchGlobs = (paths, globs) => {
+  const included = globs.filter(glob => glob[0] !== '!')
+  const excluded = globs.filter(glob => glob[0] === '!').map(glob => glob.slice(1))
+  const isMatch = filePath => glob => minimatch(filePath, glob)
+
+  return paths.filter(filePath => included.some(isMatch(filePath)) && !excluded.some(isMatch(filePath)))
+}
+
+/**
+ * Resolves the files forced to rebuild by a paths map, for each glob matching any of the changed paths.
+ * A glob maps to a glob, a list of globs or a function receiving the matching changed paths and all files,
+ * which returns the paths of the files to rebuild.
+ *
+ * @private
+ * @param {PathsObject} paths - The paths map.
+ * @param {string[]} changedPaths - The paths of all changed files.
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @returns {Object.<string, string>} - Returns a hash of forced files paths, each with the glob which forced it.
+ */
+const resolveForced = (paths, changedPaths, files) => {
+  const filesPaths = Object.keys(files)
+  const globs = Object.keys(paths)
+  const forced = {}
+
+  for (let i = 0, l = globs.length; i < l; i++) {
+    const glob = globs[i]
+    const target = paths[glob]
+    const matchedPaths = minimatch.match(changedPaths, glob)
+    let forcedPaths = []
+
+    if (matchedPaths.length && typeof target === 'function') {
+      forcedPaths = (target(matchedPaths, files) || []).filter(forcedPath => forcedPath in files)
+    } else if (matchedPaths.length) {
+      forcedPaths = matchGlobs(filesPaths, Array.isArray(target) ? target : [target])
+    }
+
+    for (let j = 0, k = forcedPaths.length; j < k; j++) {
+      forced[forcedPaths[j]] = forced[forcedPaths[j]] || glob
+    }
+  }
+
+  return forced
+}
+
+export default resolveForced
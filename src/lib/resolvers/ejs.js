@@ -0,0 +1,46 @@
+import stripComments from './strip-comments'
+
+const comments = /<%#[\s\S]*?%>/g
+const tags = /<%[_=-]?([\s\S]*?)[_-]?%>/g
+const includes = /\binclude\s*\(\s*(["'`])((?:\\.|(?!\1)[^\\])*)\1/g
+// EJS v1 syntax `<% include path/to/file %>`
+const legacy = /^\s*include\s+([^\s()'"`]+)\s*$/
+
+/**
+ * Resolves includes of EJS templates, like:
+ *
+ * ````ejs
+ * <%- include('partials/header', { title: 'foo' }) %>
+ * <%- include("footer") %>
+ * <% include legacy/sidebar %>
+ * ````
+ *
+ * EJS comments `<%# %>`, JavaScript comments and variable paths are ignored.
+ *
+ * @private
+ * @param {Object} file - The currently processed file.
+ * @returns {string[]} - Returns all template paths.
+ */
+const ejs = (file) => {
+  const contents = String(file.contents).replace(comments, '')
+  const dependencies = []
+  let tag
+
+  while ((tag = tags.exec(contents)) !== null) {
+    const code = stripComments(tag[1])
+    const name = legacy.exec(code)
+    let match
+
+    if (name) {
+      dependencies.push(name[1])
+    }
+
+    while ((match = includes.exec(code)) !== null) {
+      dependencies.push(match[2])
+    }
+  }
+
+  return dependencies
+}
+
+export default ejs
@@ -0,0 +1,38 @@
+const comments = /\{\{!--[\s\S]*?--\}\}|\{\{![\s\S]*?\}\}/g
+const partials = /\{\{~?\s*#?\s*>\s*("[^"]*"|'[^']*'|\[[^\]]*\]|[^\s}~()]+)/g
+
+/**
+ * Resolves partials of Handlebars templates, like:
+ *
+ * ````hbs
+ * {{> header}}
+ * {{> "partials/header" title=page.title }}
+ * {{~#> layout ~}} ... {{/layout}}
+ * ````
+ *
+ * Comments, dynamic partials `{{> (lookup . 'name') }}` and `{{> @partial-block }}` are ignored.
+ *
+ * @private
+ * @param {Object} file - The currently processed file.
+ * @returns {string[]} - Returns the names of all partials.
+ */
+const handlebars = (file) => {
+  const contents = String(file.contents).replace(comments, '')
+  const dependencies = []
+  let match
+
+  while ((match = partials.exec(contents)) !== null) {
+    const name = match[1]
+    const first = name.charAt(0)
+
+    if (first === '"' || first === '\'' || first === '[') {
+      dependencies.push(name.slice(1, -1))
+    } else if (first !== '@') {
+      dependencies.push(name)
+    }
+  }
+
+  return dependencies
+}
+
+export default handlebars
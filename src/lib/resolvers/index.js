@@ -0,0 +1,31 @@
+import ejs from './ejs'
+import handlebars from './handlebars'
+import liquid from './liquid'
+import markdown from './markdown'
+import nunjucks from './nunjucks'
+import pug from './pug'
+import styles from './styles'
+
+/**
+ * All built-in dependency resolvers keyed by file extension.
+ *
+ * @private
+ * @type {Object.<string, (RegExp|DependencyResolver)>}
+ */
+const resolvers = {
+  pug,
+  hbs: handlebars,
+  handlebars,
+  njk: nunjucks,
+  nunjucks,
+  twig: nunjucks,
+  liquid,
+  ejs,
+  scss: styles,
+  sass: styles,
+  less: styles,
+  md: markdown,
+  markdown,
+}
+
+export default resolvers
@@ -0,0 +1,40 @@
+import literals from './literals'
+
+const comments = /\{%-?\s*(comment|raw)\s*-?%\}[\s\S]*?\{%-?\s*end\1\s*-?%\}|\{%-?\s*#[\s\S]*?-?%\}/g
+const tags = /\{%-?\s*(?:include|include_relative|render|layout)\s+([\s\S]*?)-?%\}/g
+const stop = /\s*,|\s+(?:with|for|as)\b/
+// Jekyll allows unquoted file names, like `{% include footer.html param="value" %}`
+const unquoted = /^([^\s'"{,]+\.\w+)(?:\s|$)/
+
+/**
+ * Resolves `include`, `include_relative`, `render` and `layout` tags of Liquid templates, like:
+ *
+ * ````liquid
+ * {% include 'header' %}
+ * {%- render "product", product: featured, size: 'small' -%}
+ * {% render 'item' for items as item %}
+ * {% include footer.html param="value" %}
+ * ````
+ *
+ * Comments, `raw` blocks and variable paths are ignored.
+ *
+ * @private
+ * @param {Object} file - The currently processed file.
+ * @returns {string[]} - Returns all template paths.
+ */
+const liquid = (file) => {
+  const contents = String(file.contents).replace(comments, '')
+  let dependencies = []
+  let match
+
+  while ((match = tags.exec(contents)) !== null) {
+    const args = match[1].trim()
+    const name = unquoted.exec(args)
+
+    dependencies = dependencies.concat(name ? name[1] : literals(args, stop))
+  }
+
+  return dependencies
+}
+
+export default liquid
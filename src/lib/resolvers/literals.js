@@ -0,0 +1,31 @@
+const quoted = /(["'`])((?:\\.|(?!\1)[^\\])*)\1/g
+
+/**
+ * Extracts all string literals of a tag's arguments, which appear before any of the supplied keywords.
+ * This way template paths are collected, while literals of trailing arguments (like `with { title: 'foo' }`) are ignored.
+ *
+ * @private
+ * @param {string} args - The arguments of a tag.
+ * @param {RegExp} [stop] - A pattern matching the first trailing argument (e.g. keywords or commas).
+ * @returns {string[]} - Returns the found literals.
+ */
+const literals = (args, stop) => {
+  const found = []
+  const values = []
+  const masked = args.replace(quoted, (match, quote, value) => {
+    values.push(value)
+
+    return `\u0000${values.length - 1}\u0000`
+  })
+  const head = stop ? masked.split(stop)[0] : masked
+
+  head.replace(/\u0000(\d+)\u0000/g, (match, index) => {
+    found.push(values[index])
+
+    return match
+  })
+
+  return found
+}
+
+export default literals
@@ -0,0 +1,52 @@
+import literals from './literals'
+import liquid from './liquid'
+
+const ignored = /<!--[\s\S]*?-->|^(```|~~~)[\s\S]*?^\1|`[^`\n]*`/mg
+const includes = [
+  // markdown-it-include
+  /!!!include\(\s*([^)]+?)\s*\)!!!/g,
+  // markdown-include
+  /\{!\s*([^!}]+?)\s*!\}/g,
+  // MarkdownPP
+  /^!INCLUDE\s+(.+)$/mg,
+  // Markdown Preview Enhanced
+  /^@import\s+(.+)$/mg,
+]
+
+/**
+ * Resolves common Markdown include syntaxes, like:
+ *
+ * ````md
+ * !!!include(partials/intro.md)!!!
+ * {!partials/intro.md!}
+ * !INCLUDE "partials/intro.md", 1
+ * @import "partials/intro.md" {code_block=true}
+ * {% include "partials/intro.md" %}
+ * ````
+ *
+ * HTML comments, code blocks and inline code are ignored.
+ *
+ * @private
+ * @param {Object} file - The currently processed file.
+ * @returns {string[]} - Returns all included paths.
+ */
+const markdown = (file) => {
+  const contents = String(file.contents).replace(ignored, '')
+  let dependencies = liquid({ contents })
+
+  for (let i = 0, l = includes.length; i < l; i++) {
+    const include = includes[i]
+    let match
+
+    while ((match = include.exec(contents)) !== null) {
+      const args = match[1].trim()
+      const paths = literals(args, /\s*,|\s+\{/)
+
+      dependencies = dependencies.concat(paths.length ? paths : args)
+    }
+  }
+
+  return dependencies
+}
+
+export default markdown
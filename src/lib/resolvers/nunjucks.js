@@ -0,0 +1,36 @@
+import literals from './literals'
+
+const comments = /\{#[\s\S]*?#\}/g
+const raw = /\{%-?\s*(raw|verbatim)\s*-?%\}[\s\S]*?\{%-?\s*end\1\s*-?%\}/g
+const tags = /\{%-?\s*(?:include|extends|import|from|embed)\s+([\s\S]*?)-?%\}/g
+const stop = /\s+(?:with|ignore|only|as|import)\b/
+
+/**
+ * Resolves `include`, `extends`, `import`, `from` and `embed` tags of Nunjucks and Twig templates, like:
+ *
+ * ````njk
+ * {% extends "layouts/base.njk" %}
+ * {%- include ["partials/a.njk", "partials/b.njk"] ignore missing -%}
+ * {% from 'macros.njk' import field, label as lbl %}
+ * {% include 'header.twig' with { title: 'foo' } only %}
+ * ````
+ *
+ * Comments, `raw` and `verbatim` blocks as well as variable paths are ignored.
+ *
+ * @private
+ * @param {Object} file - The currently processed file.
+ * @returns {string[]} - Returns all template paths.
+ */
+const nunjucks = (file) => {
+  const contents = String(file.contents).replace(comments, '').replace(raw, '')
+  let dependencies = []
+  let match
+
+  while ((match = tags.exec(contents)) !== null) {
+    dependencies = dependencies.concat(literals(match[1], stop))
+  }
+
+  return dependencies
+}
+
+export default nunjucks
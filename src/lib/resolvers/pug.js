@@ -0,0 +1,9 @@
+/**
+ * Resolves `include`, `include:filter` and `extends` of Pug (formerly Jade) templates.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const pug = /(?:include(?::[^(\s]+(?:\(.*\))?)*|extends)\s+([^\s]+)/mg
+
+export default pug
@@ -0,0 +1,54 @@
+/**
+ * Strips C-style comments (`/* *\/` and optionally `//`) of a source, but keeps string literals untouched,
+ * like `url(http://foo)` or `'//cdn/foo'`.
+ *
+ * @private
+ * @param {string} source - The source code.
+ * @param {boolean} [lineComments=true] - Whether to strip `//` line comments too.
+ * @returns {string} - Returns the source without comments.
+ */
+const stripComments = (source, lineComments = true) => {
+  let result = ''
+  let quote = null
+  let i = 0
+
+  while (i < source.length) {
+    const char = source.charAt(i)
+    const next = source.charAt(i + 1)
+
+    if (quote) {
+      result += char
+
+      if (char === '\\') {
+        result += next
+        i += 2
+        continue
+      }
+
+      if (char === quote) {
+        quote = null
+      }
+
+      i += 1
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2)
+
+      i = end === -1 ? source.length : end + 2
+    } else if (lineComments && char === '/' && next === '/' && source.charAt(i - 1) !== ':') {
+      const end = source.indexOf('\n', i)
+
+      i = end === -1 ? source.length : end
+    } else {
+      if (char === '"' || char === '\'') {
+        quote = char
+      }
+
+      result += char
+      i += 1
+    }
+  }
+
+  return result
+}
+
+export default stripComments
@@ -0,0 +1,52 @@
+import literals from './literals'
+import stripComments from './strip-comments'
+
+// the indented Sass syntax ends rules by line breaks, unless they are continued by a comma
+const rules = /@(?:import|use|forward)\s+((?:,\s*\n|[^;{}\n])*)/g
+const stop = /\s+(?:as|with|show|hide)\b/
+// plain CSS imports and built-in modules
+const external = /^(?:[a-z]+:|\/\/)|\.css$/i
+
+/**
+ * Resolves `@import`, `@use` and `@forward` rules of Sass, SCSS and Less stylesheets, like:
+ *
+ * ````scss
+ * @import 'variables', "mixins";
+ * @use 'src/corners' as c;
+ * @use 'library' with ($black: #222);
+ * @import (reference) "theme.less";
+ * ````
+ *
+ * Comments, plain CSS imports (`.css`, `url()` and remote urls) and built-in modules like `sass:math` are ignored.
+ *
+ * @private
+ * @param {Object} file - The currently processed file.
+ * @returns {string[]} - Returns all stylesheet paths.
+ */
+const styles = (file) => {
+  const contents = stripComments(String(file.contents))
+  let dependencies = []
+  let match
+
+  while ((match = rules.exec(contents)) !== null) {
+    // strip Less import options, like `(reference, optional)`
+    const args = match[1].replace(/^\s*\([^)]*\)/, '').trim()
+
+    if (/^url\(/.test(args)) {
+      continue
+    }
+
+    let paths = literals(args, stop)
+
+    // the indented Sass syntax allows unquoted paths
+    if (!paths.length) {
+      paths = args.split(stop)[0].split(',').map(arg => arg.trim()).filter(Boolean)
+    }
+
+    dependencies = dependencies.concat(paths.filter(dependency => !external.test(dependency)))
+  }
+
+  return dependencies
+}
+
+export default styles
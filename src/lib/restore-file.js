@@ -0,0 +1,41 @@
+/**
+ * Restores a file filtered by `filter` from it's cached counterpart.
+ *
+ * @private
+ * @param {Object} file - The filtered file.
+ * @param {Object} cache - The cached file.
+ * @param {PropsList} [props] - An array of property names to sync from the cached file, `contents` is synced always.
+ * @returns {Object} - Returns the restored `file`.
+ */
+const restoreFile = (file, cache, props) => {
+  /* eslint-disable no-param-reassign */
+  file.contents = cache.contents
+
+  for (let j = 0, k = props ? props.length : 0; j < k; j++) {
+    const prop = props[j]
+
+    if (Array.isArray(prop)) {
+      let tmpFile = file
+      let tmpCache = cache
+
+      for (let n = 0, m = prop.length; n < m; n++) {
+        const key = prop[n]
+
+        if (n === m - 1 || !(key in tmpFile)) {
+          tmpFile[key] = tmpCache[key]
+          break
+        } else if (tmpFile[key] && tmpCache[key]) {
+          tmpFile = tmpFile[key]
+          tmpCache = tmpCache[key]
+        }
+      }
+    } else {
+      file[prop] = cache[prop]
+    }
+  }
+  /* eslint-enable no-param-reassign */
+
+  return file
+}
+
+export default restoreFile
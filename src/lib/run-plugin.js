@@ -0,0 +1,26 @@
+/**
+ * Runs a metalsmith plugin, which may be synchronous.
+ *
+ * @private
+ * @param {Function} plugin - The plugin to run.
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @param {Metalsmith} metalsmith - The current Metalsmith instance.
+ * @param {Function} done - Called as soon as the plugin has finished.
+ */
+const runPlugin = (plugin, files, metalsmith, done) => {
+  if (plugin.length > 2) {
+    plugin(files, metalsmith, done)
+    return
+  }
+
+  try {
+    plugin(files, metalsmith)
+  } catch (error) {
+    done(error)
+    return
+  }
+
+  done()
+}
+
+export default runPlugin
@@ -0,0 +1,43 @@
+import fs from 'fs'
+import path from 'path'
+
+import mkdirp from './mkdirp'
+
+/**
+ * Serializes buffers as base64 instead of huge byte arrays.
+ *
+ * @private
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function replace(key, value) {
+  const raw = this[key]
+
+  if (Buffer.isBuffer(raw)) {
+    return {
+      type: 'Buffer',
+      base64: raw.toString('base64'),
+    }
+  }
+
+  return value
+}
+
+/**
+ * Writes a store to disk, by writing a temporary file first
+ * so that an interrupted process never leaves a corrupted store behind.
+ *
+ * @private
+ * @param {string} storePath - The path of the store file.
+ * @param {Object} store - The store to persist.
+ */
+const saveStore = (storePath, store) => {
+  const tmpPath = `${storePath}.tmp`
+
+  mkdirp(path.dirname(storePath))
+  fs.writeFileSync(tmpPath, JSON.stringify(store, replace))
+  fs.renameSync(tmpPath, storePath)
+}
+
+export default saveStore
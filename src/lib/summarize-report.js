@@ -0,0 +1,32 @@
+/**
+ * Summarizes the report collected during a build.
+ * The time spent by other plugins is the rest of the build's duration, which wasn't spent by `filter` or `cache`.
+ *
+ * @private
+ * @param {Object} report - The report collected by `filter` and `cache`.
+ * @param {boolean} isIncremental - Whether the build was incremental.
+ * @returns {BuildReport} - Returns the summarized report.
+ */
+const summarizeReport = (report, isIncremental) => {
+  const { filter, dependencies, cache } = report.timings
+  const total = Date.now() - report.startTime
+
+  return {
+    incremental: isIncremental,
+    startTime: new Date(report.startTime).toISOString(),
+    counts: {
+      rebuilt: Object.keys(report.files).length,
+      filtered: report.filtered,
+    },
+    timings: {
+      filter,
+      dependencies,
+      plugins: Math.max(0, total - filter - cache),
+      cache,
+      total,
+    },
+    files: report.files,
+  }
+}
+
+export default summarizeReport
@@ -0,0 +1,24 @@
+/**
+ * Tags each file with it's current path, which allows to track the outputs of each source later on.
+ *
+ * @private
+ * @param {Object} files - A hash of files from Metalsmith.
+ * @param {string} sourceKey - The key to store the path by.
+ * @param {boolean} enumerable - Whether the key is enumerable, which lets it survive plugins copying files.
+ */
+const tagSource = (files, sourceKey, enumerable) => {
+  const filesPaths = Object.keys(files)
+
+  for (let i = 0, l = filesPaths.length; i < l; i++) {
+    const filePath = filesPaths[i]
+
+    Object.defineProperty(files[filePath], sourceKey, {
+      value: filePath,
+      enumerable,
+      configurable: true,
+      writable: true,
+    })
+  }
+}
+
+export default tagSource
@@ -0,0 +1,53 @@
+/**
+ * Tracks which top-level keys of `metalsmith.metadata()` are read, by handing out a Proxy instead of the metadata.
+ *
+ * @private
+ * @param {Metalsmith} metalsmith - The current Metalsmith instance.
+ * @param {Object} readKeys - A hash which gets each read key.
+ * @returns {Function} - Returns a function to stop tracking.
+ */
+const trackMetadata = (metalsmith, readKeys) => {
+  const hasOwnMetadata = Object.prototype.hasOwnProperty.call(metalsmith, 'metadata')
+  const { metadata } = metalsmith
+  const record = (key) => {
+    if (typeof key === 'string') {
+      // eslint-disable-next-line no-param-reassign
+      readKeys[key] = true
+    }
+  }
+  const handler = {
+    get: (target, key, receiver) => {
+      record(key)
+      return Reflect.get(target, key, receiver)
+    },
+    has: (target, key) => {
+      record(key)
+      return Reflect.has(target, key)
+    },
+    getOwnPropertyDescriptor: (target, key) => {
+      record(key)
+      return Reflect.getOwnPropertyDescriptor(target, key)
+    },
+  }
+
+  // eslint-disable-next-line no-param-reassign
+  metalsmith.metadata = (...args) => {
+    if (args.length) {
+      return metadata.apply(metalsmith, args)
+    }
+
+    return new Proxy(metadata.call(metalsmith), handler)
+  }
+
+  return () => {
+    if (hasOwnMetadata) {
+      // eslint-disable-next-line no-param-reassign
+      metalsmith.metadata = metadata
+    } else {
+      // eslint-disable-next-line no-param-reassign
+      delete metalsmith.metadata
+    }
+  }
+}
+
+export default trackMetadata
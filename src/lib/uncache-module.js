@@ -0,0 +1,36 @@
+/**
+ * Drops a module from `require.cache`, along with all cached modules requiring it transitively,
+ * as they would hold on to it's stale exports otherwise.
+ *
+ * @private
+ * @param {string} modulePath - The absolute path of the module.
+ * @returns {string[]} - Returns the paths of all dropped modules.
+ */
+const uncacheModule = (modulePath) => {
+  const { cache } = require
+  const queue = [modulePath]
+  const uncached = []
+
+  for (let i = 0; i < queue.length; i++) {
+    const cachedModule = cache[queue[i]]
+
+    if (cachedModule) {
+      const cachedPaths = Object.keys(cache)
+
+      delete cache[queue[i]]
+      uncached.push(queue[i])
+
+      for (let j = 0, k = cachedPaths.length; j < k; j++) {
+        const parentPath = cachedPaths[j]
+
+        if (cache[parentPath] && cache[parentPath].children.indexOf(cachedModule) > -1 && queue.indexOf(parentPath) === -1) {
+          queue.push(parentPath)
+        }
+      }
+    }
+  }
+
+  return uncached
+}
+
+export default uncacheModule
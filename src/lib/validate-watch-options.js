@@ -0,0 +1,105 @@
+/**
+ * Throws a `TypeError` for an invalid option of the `watch` plugin.
+ *
+ * @private
+ * @param {string} name - The name of the option.
+ * @param {string} expected - A description of the expected value.
+ */
+const fail = (name, expected) => {
+  throw new TypeError(`metalsmith-incremental: watch option "${name}" must be ${expected}`)
+}
+
+/**
+ * Checks whether a value is a positive number.
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPositiveNumber = value => typeof value === 'number' && value > 0
+
+/**
+ * Checks whether a value is a glob or an array of globs.
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isGlobs = value => typeof value === 'string' || (Array.isArray(value) && value.every(glob => typeof glob === 'string'))
+
+/**
+ * Checks whether a value is a plain options object.
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value)
+
+// options managed by the `watch` plugin itself
+const reservedWatchOptions = ['cwd', 'ignoreInitial']
+
+/**
+ * Validates the watcher options of the `watch` plugin.
+ *
+ * @private
+ * @param {Object} options - The options of the `watch` plugin.
+ * @throws {TypeError} - Throws if any option is invalid.
+ */
+const validateWatchOptions = (options) => {
+  const {
+    ignore, defaultIgnore, usePolling, interval, awaitWriteFinish, watchOptions, fullRebuild, factory,
+  } = options
+
+  if (ignore !== undefined && !isGlobs(ignore)) {
+    fail('ignore', 'a glob or an array of globs')
+  }
+
+  if (defaultIgnore !== undefined && typeof defaultIgnore !== 'boolean') {
+    fail('defaultIgnore', 'a boolean')
+  }
+
+  if (usePolling !== undefined && typeof usePolling !== 'boolean') {
+    fail('usePolling', 'a boolean')
+  }
+
+  if (interval !== undefined && !isPositiveNumber(interval)) {
+    fail('interval', 'a positive number of milliseconds')
+  }
+
+  if (awaitWriteFinish !== undefined && typeof awaitWriteFinish !== 'boolean') {
+    if (!isObject(awaitWriteFinish)) {
+      fail('awaitWriteFinish', 'a boolean or an object')
+    }
+
+    if (awaitWriteFinish.stabilityThreshold !== undefined && !isPositiveNumber(awaitWriteFinish.stabilityThreshold)) {
+      fail('awaitWriteFinish.stabilityThreshold', 'a positive number of milliseconds')
+    }
+
+    if (awaitWriteFinish.pollInterval !== undefined && !isPositiveNumber(awaitWriteFinish.pollInterval)) {
+      fail('awaitWriteFinish.pollInterval', 'a positive number of milliseconds')
+    }
+  }
+
+  if (fullRebuild !== undefined && !isGlobs(fullRebuild)) {
+    fail('fullRebuild', 'a glob or an array of globs')
+  }
+
+  if (factory !== undefined && typeof factory !== 'function') {
+    fail('factory', 'a function returning a Metalsmith instance')
+  }
+
+  if (watchOptions !== undefined) {
+    if (!isObject(watchOptions)) {
+      fail('watchOptions', 'an object')
+    }
+
+    for (let i = 0, l = reservedWatchOptions.length; i < l; i++) {
+      if (reservedWatchOptions[i] in watchOptions) {
+        throw new TypeError(`metalsmith-incremental: watch option "watchOptions.${reservedWatchOptions[i]}" is set by the watch plugin itself`)
+      }
+    }
+  }
+}
+
+export default validateWatchOptions
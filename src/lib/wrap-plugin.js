@@ -0,0 +1,124 @@
+import chalk from 'chalk'
+import clone from 'clone'
+
+import hash from './hash'
+import tagSource from './tag-source'
+import collectOutputs from './collect-outputs'
+import restoreFile from './restore-file'
+import runPlugin from './run-plugin'
+
+// a key which doesn't collide with the one of `filter` and `cache`
+const SOURCE_KEY = 'incrementalWrapSource'
+
+/**
+ * Hashes the contents and the selected props of an input file.
+ *
+ * @private
+ * @param {Object} file - A metalsmith file.
+ * @param {string[]} hashProps - The names of the props to hash besides `contents`.
+ * @returns {string} - Returns the hash of the file.
+ */
+const hashInput = (file, hashProps) => hash(file.contents, hashProps.map(prop => file[prop]))
+
+/**
+ * Wraps a single plugin, which is fed with changed input files only.
+ * The outputs of each input are memoized by the hash of the input,
+ * outputs of unchanged inputs are merged back from the memo afterwards.
+ *
+ * @private
+ * @param {Function} plugin - The plugin to wrap.
+ * @param {Object} options - The options of `wrap`.
+ * @param {string[]} [options.hashProps=[]] - The names of the props to hash besides `contents`.
+ * @param {PropsList} [options.props] - An array of property names to sync from memoized outputs.
+ * @param {Object} memo - The memo of the wrapped plugin, which is kept across builds.
+ * @param {Object} log - The log of `wrap`.
+ * @returns {Function} - Returns the wrapped plugin.
+ */
+const wrapPlugin = (plugin, options, memo, log) => (files, metalsmith, done) => {
+  const { hashProps = [] } = options
+  const name = plugin.name || 'plugin'
+  const filesPaths = Object.keys(files)
+  const hashes = {}
+  const unchanged = {}
+  let { props } = options
+
+  if (props && !Array.isArray(props)) {
+    props = [props]
+  }
+
+  // forget removed inputs
+  const memoPaths = Object.keys(memo)
+
+  for (let i = 0, l = memoPaths.length; i < l; i++) {
+    if (!(memoPaths[i] in files)) {
+      // eslint-disable-next-line no-param-reassign
+      delete memo[memoPaths[i]]
+    }
+  }
+
+  // hold back unchanged inputs
+  for (let i = 0, l = filesPaths.length; i < l; i++) {
+    const filePath = filesPaths[i]
+
+    hashes[filePath] = hashInput(files[filePath], hashProps)
+
+    if (memo[filePath] && memo[filePath].hash === hashes[filePath]) {
+      unchanged[filePath] = files[filePath]
+      // eslint-disable-next-line no-param-reassign
+      delete files[filePath]
+    }
+  }
+
+  const changedPaths = Object.keys(files)
+
+  log.info(`${chalk.blue(name)} ${changedPaths.length} changed, ${filesPaths.length - changedPaths.length} memoized`)
+
+  tagSource(files, SOURCE_KEY, false)
+
+  runPlugin(plugin, files, metalsmith, (error) => {
+    if (error) {
+      done(error)
+      return
+    }
+
+    const outputs = collectOutputs(files, SOURCE_KEY)
+
+    // memoize outputs of changed inputs
+    for (let i = 0, l = changedPaths.length; i < l; i++) {
+      const changedPath = changedPaths[i]
+      const outputPaths = outputs[changedPath] || []
+      const memoized = {}
+
+      for (let j = 0, k = outputPaths.length; j < k; j++) {
+        memoized[outputPaths[j]] = clone(files[outputPaths[j]])
+      }
+
+      // eslint-disable-next-line no-param-reassign
+      memo[changedPath] = {
+        hash: hashes[changedPath],
+        outputs: memoized,
+      }
+    }
+
+    // merge memoized outputs of unchanged inputs
+    const unchangedPaths = Object.keys(unchanged)
+
+    for (let i = 0, l = unchangedPaths.length; i < l; i++) {
+      const unchangedPath = unchangedPaths[i]
+      const memoized = memo[unchangedPath].outputs
+      const outputPaths = Object.keys(memoized)
+
+      for (let j = 0, k = outputPaths.length; j < k; j++) {
+        const outputPath = outputPaths[j]
+        const file = j === 0 ? unchanged[unchangedPath] : { ...unchanged[unchangedPath] }
+
+        // eslint-disable-next-line no-param-reassign
+        files[outputPath] = restoreFile(file, clone(memoized[outputPath]), props)
+      }
+    }
+
+    done()
+  })
+}
+
+export default wrapPlugin
@@ -0,0 +1,22 @@
+import fs from 'fs'
+import path from 'path'
+
+import graphToDot from './graph-to-dot'
+import mkdirp from './mkdirp'
+
+/**
+ * Writes inspected graph entries to disk, as Graphviz DOT for `.dot` and `.gv` files, else as JSON.
+ *
+ * @private
+ * @param {string} graphPath - The path of the file to write.
+ * @param {Object.<string, GraphEntry>} entries - All entries returned by `inspectGraph`.
+ */
+const writeGraph = (graphPath, entries) => {
+  const extension = path.extname(graphPath)
+  const isDot = extension === '.dot' || extension === '.gv'
+
+  mkdirp(path.dirname(graphPath))
+  fs.writeFileSync(graphPath, isDot ? graphToDot(entries) : `${JSON.stringify(entries, null, 2)}\n`)
+}
+
+export default writeGraph
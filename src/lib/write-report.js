@@ -0,0 +1,18 @@
+import fs from 'fs'
+import path from 'path'
+
+import mkdirp from './mkdirp'
+
+/**
+ * Writes the report of a build to disk as JSON.
+ *
+ * @private
+ * @param {string} reportPath - The path of the file to write.
+ * @param {BuildReport} report - The summarized report.
+ */
+const writeReport = (reportPath, report) => {
+  mkdirp(path.dirname(reportPath))
+  fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`)
+}
+
+export default writeReport
@@ -0,0 +1,33 @@
+/**
+ * Checks each built-in dependency resolver against it's fixture in `fixtures/resolvers`,
+ * which covers comments, quoting and multi-argument forms of the language.
+ * Runs against the babel output, so run `npm run build` first (`npm test` does).
+ */
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+
+const getDepResolver = require('../lib/get-dep-resolver').default
+const collectDependencies = require('../lib/collect-dependencies').default
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'resolvers')
+const expected = require('./fixtures/resolvers/expected.json')
+
+const fixtures = Object.keys(expected)
+
+Promise.all(fixtures.map((fixture) => {
+  const extension = path.extname(fixture).slice(1)
+  // built-in resolvers are opt-in
+  const resolver = getDepResolver(fixture, { [extension]: true })
+  const file = { contents: fs.readFileSync(path.join(fixturesDir, fixture)) }
+
+  return collectDependencies(resolver, file, '', {})
+    .then((dependencies) => {
+      assert.deepStrictEqual(dependencies, expected[fixture], `${fixture} resolved ${JSON.stringify(dependencies)}`)
+      console.log(`ok ${fixture}`)
+    })
+}))
+  .catch((error) => {
+    console.error(`not ok ${error.message}`)
+    process.exit(1)
+  })
@@ -0,0 +1,194 @@
+/**
+ * Runs incremental builds triggered by the real watcher against a minimal Metalsmith,
+ * which reads `src`, runs all plugins and writes `build` of a temporary directory.
+ * Runs against the babel output, so run `npm run build` first (`npm test` does).
+ */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const incremental = require('../index').default
+
+const TIMEOUT = 10000
+
+// reads all files of a directory recursively, keyed by their paths relative to it
+const readDir = (dir, base = dir) => fs.readdirSync(dir).reduce((files, entry) => {
+  const entryPath = path.join(dir, entry)
+
+  if (fs.statSync(entryPath).isDirectory()) {
+    return Object.assign(files, readDir(entryPath, base))
+  }
+
+  return Object.assign(files, { [path.relative(base, entryPath)]: { contents: fs.readFileSync(entryPath) } })
+}, {})
+
+const createMetalsmith = (directory) => {
+  const metadata = {}
+  const metalsmith = {
+    plugins: [],
+    directory: () => directory,
+    source: () => path.join(directory, 'src'),
+    destination: () => path.join(directory, 'build'),
+    metadata: () => metadata,
+    use: (plugin) => {
+      metalsmith.plugins.push(plugin)
+      return metalsmith
+    },
+    readFile: (filePath, done) => fs.readFile(path.resolve(metalsmith.source(), filePath), (error, contents) => {
+      done(error, error ? undefined : { contents })
+    }),
+    build: (done) => {
+      const files = readDir(metalsmith.source())
+      const run = (i) => {
+        if (i === metalsmith.plugins.length) {
+          Object.keys(files).forEach((filePath) => {
+            const outputPath = path.join(metalsmith.destination(), filePath)
+
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true })
+            fs.writeFileSync(outputPath, files[filePath].contents)
+          })
+          done(null, files)
+          return
+        }
+
+        const plugin = metalsmith.plugins[i]
+
+        try {
+          if (plugin.length > 2) {
+            plugin(files, metalsmith, error => (error ? done(error) : run(i + 1)))
+            return
+          }
+
+          plugin(files, metalsmith)
+        } catch (error) {
+          done(error)
+          return
+        }
+
+        run(i + 1)
+      }
+
+      run(0)
+    },
+  }
+
+  return metalsmith
+}
+
+// creates a temporary directory with the supplied sources
+const createFixture = (sources) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metalsmith-incremental-'))
+
+  fs.mkdirSync(path.join(directory, 'src'))
+  Object.keys(sources).forEach(filePath => fs.writeFileSync(path.join(directory, 'src', filePath), sources[filePath]))
+
+  return directory
+}
+
+const cleanUp = (session, directory) => {
+  session.dispose()
+  fs.rmSync(directory, { recursive: true, force: true })
+}
+
+const read = (directory, filePath) => fs.readFileSync(path.join(directory, 'build', filePath), 'utf8')
+const write = (directory, filePath, contents) => fs.writeFileSync(path.join(directory, 'src', filePath), contents)
+// lets events still in flight arrive, chokidar watches files again on events arriving after it was closed
+const settle = () => new Promise(resolve => setTimeout(resolve, 300))
+const nextBuild = watcher => new Promise(resolve => watcher.once('build:end', (changes, error) => resolve(error)))
+
+const scenarios = {
+  'a failed build does not restore files held back by it': () => {
+    const directory = createFixture({ 'a.md': 'A1', 'b.md': 'B1' })
+    const session = incremental.session()
+    const watcher = session.watch({ delay: 50, logLevel: 'silent' })
+    let isFailing = false
+
+    const metalsmith = createMetalsmith(directory)
+      .use(session.filter())
+      .use(() => {
+        if (isFailing) {
+          throw new Error('failed on purpose')
+        }
+      })
+      .use(session.cache())
+      .use(watcher)
+
+    return new Promise((resolve, reject) => {
+      watcher.once('ready', resolve)
+      metalsmith.build(error => error && reject(error))
+    })
+      .then(() => {
+        isFailing = true
+        write(directory, 'a.md', 'A2')
+
+        return nextBuild(watcher)
+      })
+      .then((error) => {
+        assert.ok(error, 'the first build should fail')
+
+        isFailing = false
+        write(directory, 'b.md', 'B2')
+
+        return nextBuild(watcher)
+      })
+      .then((error) => {
+        assert.ifError(error)
+        assert.strictEqual(read(directory, 'a.md'), 'A2')
+        assert.strictEqual(read(directory, 'b.md'), 'B2')
+      })
+      .then(() => cleanUp(session, directory), (error) => {
+        cleanUp(session, directory)
+        throw error
+      })
+  },
+
+  'a file saved before the build read it is built': () => {
+    const directory = createFixture({ 'a.md': 'A1', 'b.md': 'B1' })
+    const session = incremental.session()
+    const watcher = session.watch({ delay: 50, logLevel: 'silent' })
+
+    const metalsmith = createMetalsmith(directory)
+      .use(session.filter())
+      .use(session.cache())
+      .use(watcher)
+
+    return new Promise((resolve, reject) => {
+      watcher.once('ready', resolve)
+      metalsmith.build(error => error && reject(error))
+    })
+      .then(() => {
+        // the event of this save arrives after the build read it
+        watcher.once('build:start', () => write(directory, 'b.md', 'B2'))
+        write(directory, 'a.md', 'A2')
+
+        return nextBuild(watcher)
+      })
+      .then((error) => {
+        assert.ifError(error)
+        assert.strictEqual(read(directory, 'a.md'), 'A2')
+        assert.strictEqual(read(directory, 'b.md'), 'B2')
+      })
+      .then(settle)
+      .then(() => cleanUp(session, directory), (error) => {
+        cleanUp(session, directory)
+        throw error
+      })
+  },
+}
+
+Object.keys(scenarios).reduce((previous, name) => previous.then(() => {
+  const timer = setTimeout(() => {
+    console.error(`not ok ${name} timed out`)
+    process.exit(1)
+  }, TIMEOUT)
+
+  return scenarios[name]().then(() => {
+    clearTimeout(timer)
+    console.log(`ok ${name}`)
+  })
+    .catch((error) => {
+      console.error(`not ok ${name} ${error.message}`)
+      process.exit(1)
+    })
+}), Promise.resolve())